@@ -0,0 +1,195 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import { useSession } from "next-auth/react"
+import toast from "react-hot-toast"
+import { can, ROLES } from "@/lib/roles"
+
+/**
+ * AdminPage: invite users, change their role and approval setting, and
+ * revoke their access.
+ * Changes apply on the user's next request; no redeploy needed.
+ */
+
+export default function AdminPage() {
+    const { data: session, status } = useSession()
+    const [users, setUsers] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [email, setEmail] = useState("")
+    const [role, setRole] = useState("publisher")
+    const [skipApproval, setSkipApproval] = useState(false)
+    const [busy, setBusy] = useState(false)
+
+    const authorized = can(session?.user?.role, "manageUsers")
+
+    const load = useCallback(async () => {
+        try {
+            const res = await fetch("/api/users")
+            const data = await res.json()
+            if (res.ok) setUsers(data.users)
+            else toast.error(data?.error ?? "Could not load users")
+        } catch (err) {
+            console.error("Error fetching users:", err)
+        } finally {
+            setLoading(false)
+        }
+    }, [])
+
+    useEffect(() => {
+        if (authorized) load()
+    }, [authorized, load])
+
+    // Sends one change and reloads the list when it was accepted
+    const submit = async (url, method, body, success) => {
+        if (busy) return
+        setBusy(true)
+        try {
+            const res = await fetch(url, {
+                method,
+                headers: { "Content-Type": "application/json" },
+                body: body && JSON.stringify(body),
+            })
+            const data = await res.json()
+            if (!res.ok) return toast.error(data?.error ?? "Failed")
+            toast.success(success)
+            await load()
+            return true
+        } catch (err) {
+            console.error("Error updating users:", err)
+            toast.error("Unexpected error")
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    const invite = async (e) => {
+        e.preventDefault()
+        if (await submit("/api/users", "POST", { email, role, skipApproval }, `Invited ${email}`)) setEmail("")
+    }
+
+    const userUrl = (user) => `/api/users/${encodeURIComponent(user.email)}`
+
+    // ---- Guard ----
+    if (status === "loading") return <p className="p-4">Loading...</p>
+    if (!session) return <p className="p-4">Please sign in first.</p>
+    if (!authorized) return <p className="p-4">Access denied.</p>
+
+    return (
+        <div className="min-h-screen flex justify-center bg-gray-50 p-6">
+            <div className="w-full max-w-3xl bg-white rounded-2xl shadow p-8 space-y-6">
+                <div className="flex items-baseline justify-between">
+                    <h1 className="text-2xl font-bold">Users</h1>
+                    <Link href="/admin/templates" className="text-sm text-blue-600">
+                        Message templates
+                    </Link>
+                </div>
+
+                {/* Invite */}
+                <form onSubmit={invite} className="flex flex-wrap gap-3">
+                    <input
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        placeholder="name@example.com"
+                        className="flex-1 border rounded p-2"
+                        required
+                    />
+                    <RoleSelect value={role} onChange={setRole} />
+                    <label className="flex items-center gap-2 text-sm">
+                        <input type="checkbox" checked={skipApproval} onChange={(e) => setSkipApproval(e.target.checked)} />
+                        Skips approval
+                    </label>
+                    <button type="submit" disabled={busy} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+                        Invite
+                    </button>
+                </form>
+
+                {/* Users */}
+                {loading ? (
+                    <p className="text-gray-500">Loading...</p>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b">
+                                <th className="py-2">Email</th>
+                                <th className="py-2">Role</th>
+                                <th className="py-2">Skips approval</th>
+                                <th className="py-2">Invited</th>
+                                <th className="py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {users.map((user) => {
+                                const locked = user.builtIn || user.email === session.user.email.toLowerCase()
+                                return (
+                                    <tr key={user.email} className="border-b last:border-0">
+                                        <td className="py-2">{user.email}</td>
+                                        <td className="py-2">
+                                            {locked ? (
+                                                ROLES.find((r) => r.id === user.role)?.label
+                                            ) : (
+                                                <RoleSelect
+                                                    value={user.role}
+                                                    onChange={(next) =>
+                                                        submit(userUrl(user), "PATCH", { role: next }, `${user.email} is now ${next}`)
+                                                    }
+                                                />
+                                            )}
+                                        </td>
+                                        <td className="py-2">
+                                            <input
+                                                type="checkbox"
+                                                checked={!!user.skipApproval}
+                                                disabled={locked || busy}
+                                                onChange={(e) =>
+                                                    submit(
+                                                        userUrl(user),
+                                                        "PATCH",
+                                                        { skipApproval: e.target.checked },
+                                                        `${user.email} ${e.target.checked ? "skips" : "needs"} approval`
+                                                    )
+                                                }
+                                            />
+                                        </td>
+                                        <td className="py-2 text-gray-500">
+                                            {user.builtIn
+                                                ? "ADMIN_EMAILS"
+                                                : `${user.invitedBy} · ${new Date(user.invitedAt).toLocaleDateString()}`}
+                                        </td>
+                                        <td className="py-2 text-right">
+                                            {!locked && (
+                                                <button
+                                                    onClick={() => submit(userUrl(user), "DELETE", null, `Revoked ${user.email}`)}
+                                                    disabled={busy}
+                                                    className="bg-gray-200 px-3 py-1 rounded"
+                                                >
+                                                    Revoke
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                )
+                            })}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    )
+}
+
+/* ----------------------
+   Role picker
+   ---------------------- */
+function RoleSelect({ value, onChange }) {
+    return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className="border rounded p-2">
+            {ROLES.map((r) => (
+                <option key={r.id} value={r.id}>
+                    {r.label}
+                </option>
+            ))}
+        </select>
+    )
+}
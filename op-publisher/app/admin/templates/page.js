@@ -0,0 +1,277 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { useSession } from "next-auth/react"
+import toast from "react-hot-toast"
+import { EXIT_ACTIONS } from "@/lib/lifecycle"
+import { renderSignal } from "@/lib/messages"
+import { can } from "@/lib/roles"
+import { DEFAULT_LANGUAGE, LANGUAGES, TEMPLATE_FIELDS, validateTemplates } from "@/lib/templates"
+
+/**
+ * TemplatesPage: edit the message template library, one language at a time,
+ * with a live preview.
+ * Every save is a new version of every language; any version can be loaded
+ * and saved again.
+ */
+
+// Normalized signals the preview renders (see lib/signals.js)
+const EXIT_LEGS = [
+    { side: "SELL", strike: 25900, optionType: "CE", exitPrice: 142.5, quantityPct: 50 },
+    { side: "BUY", strike: 25900, optionType: "PE", exitPrice: 60, quantityPct: 50 },
+]
+
+const SAMPLES = [
+    {
+        id: "fresh",
+        label: "Fresh Trade",
+        signal: {
+            type: "FRESH_TRADE",
+            underlying: "NIFTY",
+            expiry: "2026-10-27",
+            legs: [
+                { side: "BUY", strike: 25900, optionType: "CE", entryLow: 120, entryHigh: 125, stopLoss: 100, targets: [140, 160] },
+                { side: "SELL", strike: 25900, optionType: "PE", entryLow: 90, entryHigh: 95, stopLoss: 110, targets: [] },
+            ],
+        },
+    },
+    {
+        id: "strategy",
+        label: "Fresh Trade (named strategy)",
+        signal: {
+            type: "FRESH_TRADE",
+            underlying: "BANKNIFTY",
+            expiry: "2026-10-27",
+            strategy: "BULL_CALL_SPREAD",
+            legs: [
+                { side: "BUY", strike: 55100, optionType: "CE", entryLow: 200, entryHigh: 205, stopLoss: 160, targets: [260] },
+                { side: "SELL", strike: 55500, optionType: "CE", entryLow: 80, entryHigh: 82, stopLoss: null, targets: [] },
+            ],
+        },
+    },
+    ...Object.entries(EXIT_ACTIONS).map(([action, { label }]) => ({
+        id: action,
+        label: `Square Off – ${label}`,
+        signal: { type: "SQUARE_OFF", action, legs: EXIT_LEGS },
+    })),
+    {
+        id: "modifySl",
+        label: "Modify Stop Loss",
+        signal: {
+            type: "MODIFY_SL",
+            legs: [
+                { side: "SELL", strike: 25900, optionType: "CE", stopLoss: 135, previousStopLoss: 100 },
+                { side: "BUY", strike: 25900, optionType: "PE", stopLoss: 120, previousStopLoss: 110 },
+                { side: "SELL", strike: 26000, optionType: "CE", stopLoss: 40, previousStopLoss: null },
+            ],
+        },
+    },
+    { id: "ignore", label: "Ignore Alert", signal: { type: "IGNORE_ALERT" } },
+    {
+        id: "performance",
+        label: "Performance (this week)",
+        signal: {
+            type: "PERFORMANCE_SUMMARY",
+            period: "WEEK",
+            summary: {
+                from: "2026-10-19",
+                to: "2026-10-23",
+                taken: 3,
+                closed: 2,
+                winners: 1,
+                losers: 1,
+                netPoints: 20,
+                netRupees: 2787.5,
+                trades: [
+                    { label: "Nifty 27 Oct BUY 25900 CE / SELL 25900 PE", points: 62.5, rupees: 4062.5, returnPct: 32 },
+                    { label: "Bank Nifty 27 Oct BUY 55100 CE", points: -42.5, rupees: -1275, returnPct: -21 },
+                ],
+            },
+        },
+    },
+]
+
+const GROUPS = [...new Set(TEMPLATE_FIELDS.map((f) => f.group))]
+
+export default function TemplatesPage() {
+    const { data: session, status } = useSession()
+    const [library, setLibrary] = useState(null)
+    const [versions, setVersions] = useState([])
+    const [templates, setTemplates] = useState({})
+    const [language, setLanguage] = useState(DEFAULT_LANGUAGE)
+    const [note, setNote] = useState("")
+    const [sampleId, setSampleId] = useState(SAMPLES[0].id)
+    const [busy, setBusy] = useState(false)
+
+    const authorized = can(session?.user?.role, "manageTemplates")
+
+    const load = useCallback(async (version) => {
+        try {
+            const res = await fetch(`/api/templates${version === undefined ? "" : `?version=${version}`}`)
+            const data = await res.json()
+            if (!res.ok) return toast.error(data?.error ?? "Could not load templates")
+            setLibrary(data.library)
+            setTemplates(data.library.templates)
+            setVersions(data.versions)
+        } catch (err) {
+            console.error("Error fetching templates:", err)
+        }
+    }, [])
+
+    useEffect(() => {
+        if (authorized) load()
+    }, [authorized, load])
+
+    const save = async () => {
+        if (busy) return
+        setBusy(true)
+        try {
+            const res = await fetch("/api/templates", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ templates, note }),
+            })
+            const data = await res.json()
+            if (!res.ok) return toast.error(data?.error ?? "Could not save templates")
+            toast.success(`Saved as version ${data.library.version}`)
+            setNote("")
+            await load()
+        } catch (err) {
+            console.error("Error saving templates:", err)
+            toast.error("Unexpected error")
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    // ---- Guard ----
+    if (status === "loading") return <p className="p-4">Loading...</p>
+    if (!session) return <p className="p-4">Please sign in first.</p>
+    if (!authorized) return <p className="p-4">Access denied.</p>
+    if (!library) return <p className="p-4">Loading...</p>
+
+    const error = validateTemplates(templates)
+    // An older version loaded as is can be saved to restore it
+    const changed =
+        library.version !== versions[0]?.version ||
+        LANGUAGES.some(({ id }) => TEMPLATE_FIELDS.some((f) => templates[id][f.key] !== library.templates[id][f.key]))
+    const editing = templates[language]
+    const setTemplate = (key, text) => setTemplates({ ...templates, [language]: { ...editing, [key]: text } })
+    const sample = SAMPLES.find((s) => s.id === sampleId)
+    let preview
+    try {
+        preview = renderSignal(sample.signal, editing)
+    } catch (err) {
+        preview = `Cannot render: ${err.message}`
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-50 p-6">
+            <div className="max-w-6xl mx-auto grid lg:grid-cols-2 gap-6 items-start">
+                {/* Editor */}
+                <div className="bg-white rounded-2xl shadow p-8 space-y-6">
+                    <div className="flex items-baseline justify-between">
+                        <h1 className="text-2xl font-bold">Message Templates</h1>
+                        <span className="text-sm text-gray-500">Editing version {library.version}</span>
+                    </div>
+
+                    <div className="flex gap-2">
+                        {LANGUAGES.map((l) => (
+                            <button
+                                key={l.id}
+                                onClick={() => setLanguage(l.id)}
+                                className={`px-3 py-1 rounded ${language === l.id ? "bg-blue-600 text-white" : "bg-gray-200"}`}
+                            >
+                                {l.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {GROUPS.map((group) => (
+                        <div key={group}>
+                            <h2 className="font-semibold mb-3">{group}</h2>
+                            {TEMPLATE_FIELDS.filter((f) => f.group === group).map((field) => (
+                                <div key={field.key} className="mb-4">
+                                    <label className="block text-sm font-medium mb-1">{field.label}</label>
+                                    <textarea
+                                        value={editing[field.key] ?? ""}
+                                        onChange={(e) => setTemplate(field.key, e.target.value)}
+                                        rows={Math.max(1, (editing[field.key] ?? "").split("\n").length)}
+                                        className="w-full border rounded p-2 font-mono text-sm"
+                                    />
+                                    {language !== DEFAULT_LANGUAGE && (
+                                        <p className="text-xs text-gray-500 mt-1 whitespace-pre-wrap">
+                                            English: {templates[DEFAULT_LANGUAGE][field.key]}
+                                        </p>
+                                    )}
+                                    {field.variables.length > 0 && (
+                                        <p className="text-xs text-gray-500 mt-1">
+                                            Variables: {field.variables.map((v) => `{${v}}`).join(" ")}
+                                        </p>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+
+                <div className="space-y-6 lg:sticky lg:top-6">
+                    {/* Live preview */}
+                    <div className="bg-white rounded-2xl shadow p-8">
+                        <h2 className="font-semibold mb-3">
+                            Preview · {LANGUAGES.find((l) => l.id === language).label}
+                        </h2>
+                        <select value={sampleId} onChange={(e) => setSampleId(e.target.value)} className="w-full border rounded p-2 mb-3">
+                            {SAMPLES.map((s) => (
+                                <option key={s.id} value={s.id}>
+                                    {s.label}
+                                </option>
+                            ))}
+                        </select>
+                        <pre className="whitespace-pre-wrap font-sans bg-gray-50 rounded p-4 text-sm">{preview}</pre>
+
+                        {error && <p className="text-red-600 text-sm mt-3">{error}</p>}
+                        <input
+                            type="text"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            placeholder="What changed (optional)"
+                            className="w-full border rounded p-2 mt-4 text-sm"
+                        />
+                        <button
+                            onClick={save}
+                            disabled={busy || !!error || !changed}
+                            className="w-full mt-3 bg-blue-600 text-white py-2 rounded hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            Save as new version
+                        </button>
+                    </div>
+
+                    {/* Versions */}
+                    <div className="bg-white rounded-2xl shadow p-8">
+                        <h2 className="font-semibold mb-3">Versions</h2>
+                        <ul className="space-y-2 text-sm">
+                            {versions.map((v) => (
+                                <li key={v.version} className="flex items-center gap-3">
+                                    <span className="font-medium">v{v.version}</span>
+                                    <span className="text-gray-500 flex-1">
+                                        {v.note ?? "No note"}
+                                        {v.by && ` · ${v.by} · ${new Date(v.at).toLocaleString()}`}
+                                    </span>
+                                    {v.version !== library.version && (
+                                        <button onClick={() => load(v.version)} className="bg-gray-200 px-3 py-1 rounded">
+                                            Load
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                        <p className="text-xs text-gray-500 mt-3">
+                            Loading an older version puts it in the editor; save it to make it current again.
+                        </p>
+                    </div>
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,207 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { useSession } from "next-auth/react"
+import { can } from "@/lib/roles"
+
+/**
+ * AnalyticsPage: performance of closed trades over a date range, with an
+ * equity curve, breakdowns and a CSV export of the trades behind them.
+ */
+
+export default function AnalyticsPage() {
+    const { data: session, status } = useSession()
+    const [from, setFrom] = useState("")
+    const [to, setTo] = useState("")
+    const [data, setData] = useState(null)
+    const [error, setError] = useState("")
+
+    const authorized = can(session?.user?.role, "view")
+
+    const query = new URLSearchParams({ ...(from && { from }), ...(to && { to }) }).toString()
+
+    useEffect(() => {
+        if (!authorized) return
+        let cancelled = false
+        const load = async () => {
+            try {
+                const res = await fetch(`/api/analytics?${query}`)
+                const body = await res.json()
+                if (cancelled) return
+                if (res.ok) {
+                    setData(body)
+                    setError("")
+                } else {
+                    setError(body?.error ?? "Failed to load analytics")
+                }
+            } catch (err) {
+                console.error("Error fetching analytics:", err)
+                if (!cancelled) setError("Failed to load analytics")
+            }
+        }
+
+        load()
+        return () => {
+            cancelled = true
+        }
+    }, [authorized, query])
+
+    // ---- Guard ----
+    if (status === "loading") return <p className="p-4">Loading...</p>
+    if (!session) return <p className="p-4">Please sign in first.</p>
+    if (!authorized) return <p className="p-4">Access denied.</p>
+
+    const stats = data?.stats
+
+    return (
+        <div className="min-h-screen flex justify-center bg-gray-50 p-6">
+            <div className="w-full max-w-4xl space-y-6">
+                <div className="bg-white rounded-2xl shadow p-8 space-y-6">
+                    <h1 className="text-2xl font-bold">Performance Analytics</h1>
+
+                    {/* Filters */}
+                    <div className="flex flex-wrap items-end gap-4">
+                        <DateInput label="From" value={from} setValue={setFrom} />
+                        <DateInput label="To" value={to} setValue={setTo} />
+                        {(from || to) && (
+                            <button
+                                onClick={() => {
+                                    setFrom("")
+                                    setTo("")
+                                }}
+                                className="text-sm text-gray-500 underline"
+                            >
+                                All time
+                            </button>
+                        )}
+                        <a
+                            href={`/api/analytics?${query}${query ? "&" : ""}format=csv`}
+                            className="ml-auto bg-gray-800 text-white px-4 py-2 rounded hover:bg-gray-900"
+                        >
+                            Download CSV
+                        </a>
+                    </div>
+
+                    {error && <p className="text-red-600 text-sm">{error}</p>}
+                    {!stats && !error && <p className="text-gray-500">Loading...</p>}
+                    {stats && stats.trades === 0 && <p className="text-gray-500">No trades closed in this range.</p>}
+                    {stats && stats.trades > 0 && (
+                        <>
+                            <div className="grid grid-cols-3 md:grid-cols-6 gap-3 text-center">
+                                {[
+                                    ["Trades", stats.trades],
+                                    ["Win rate", `${stats.winRate}%`],
+                                    ["Avg R", stats.avgR === null ? "—" : formatSigned(stats.avgR)],
+                                    ["Net points", formatSigned(stats.netPoints)],
+                                    ["Net P&L", `₹${formatSigned(stats.netRupees)}`],
+                                    ["Max drawdown", `₹${stats.maxDrawdown.toFixed(2)}`],
+                                ].map(([label, value]) => (
+                                    <div key={label} className="border rounded p-2">
+                                        <p className="text-xs text-gray-500">{label}</p>
+                                        <p className="text-lg font-semibold">{value}</p>
+                                    </div>
+                                ))}
+                            </div>
+
+                            <EquityCurve points={stats.equity} />
+
+                            <div className="grid md:grid-cols-2 gap-6">
+                                <Breakdown title="By underlying" groups={stats.breakdowns.underlying} />
+                                <Breakdown title="By strategy" groups={stats.breakdowns.strategy} />
+                                <Breakdown title="By weekday (entry)" groups={stats.breakdowns.weekday} />
+                                <Breakdown title="Expiry day vs other days" groups={stats.breakdowns.expiryDay} />
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    )
+}
+
+const formatSigned = (n, digits = 2) => `${n > 0 ? "+" : ""}${n.toFixed(digits)}`
+
+/* ----------------------
+   Date filter input
+   ---------------------- */
+function DateInput({ label, value, setValue }) {
+    return (
+        <label className="flex flex-col text-sm font-semibold">
+            {label}
+            <input
+                type="date"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                className="border rounded p-2 font-normal"
+            />
+        </label>
+    )
+}
+
+/* ----------------------
+   Equity curve (cumulative ₹ after each closed trade)
+   ---------------------- */
+function EquityCurve({ points }) {
+    const width = 800
+    const height = 200
+    const pad = 10
+    const values = [0, ...points.map((p) => p.equity)]
+    const min = Math.min(...values)
+    const max = Math.max(...values)
+    const x = (i) => pad + (i / (values.length - 1)) * (width - 2 * pad)
+    const y = (v) => height - pad - ((v - min) / (max - min || 1)) * (height - 2 * pad)
+
+    return (
+        <div>
+            <h2 className="font-semibold mb-2">Equity curve</h2>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48 border rounded bg-gray-50">
+                <line x1={pad} x2={width - pad} y1={y(0)} y2={y(0)} stroke="#d1d5db" strokeDasharray="4 4" />
+                <polyline
+                    fill="none"
+                    stroke="#2563eb"
+                    strokeWidth="2"
+                    points={values.map((v, i) => `${x(i)},${y(v)}`).join(" ")}
+                />
+            </svg>
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{points[0].date}</span>
+                <span>{points[points.length - 1].date}</span>
+            </div>
+        </div>
+    )
+}
+
+/* ----------------------
+   Breakdown table
+   ---------------------- */
+function Breakdown({ title, groups }) {
+    return (
+        <div>
+            <h2 className="font-semibold mb-2">{title}</h2>
+            <table className="w-full text-sm">
+                <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                        <th className="py-1"></th>
+                        <th className="py-1 text-right">Trades</th>
+                        <th className="py-1 text-right">Win %</th>
+                        <th className="py-1 text-right">Avg R</th>
+                        <th className="py-1 text-right">P&L ₹</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {groups.map((g) => (
+                        <tr key={g.key} className="border-b last:border-0">
+                            <td className="py-1">{g.key}</td>
+                            <td className="py-1 text-right">{g.trades}</td>
+                            <td className="py-1 text-right">{g.winRate}</td>
+                            <td className="py-1 text-right">{g.avgR === null ? "—" : formatSigned(g.avgR)}</td>
+                            <td className={`py-1 text-right ${g.netRupees < 0 ? "text-red-600" : "text-green-700"}`}>
+                                {formatSigned(g.netRupees)}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    )
+}
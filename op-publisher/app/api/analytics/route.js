@@ -0,0 +1,33 @@
+import { analyze, listTradeRows, tradesCsv } from "@/lib/analytics"
+import { authorizeRequest } from "@/lib/auth"
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+
+// GET /api/analytics?from=2026-10-01&to=2026-10-31[&format=csv]
+export async function GET(req) {
+  try {
+    const { response } = await authorizeRequest("view")
+    if (response) return response
+
+    const { searchParams } = new URL(req.url)
+    const from = searchParams.get("from") || undefined
+    const to = searchParams.get("to") || undefined
+    if ((from && !ISO_DATE.test(from)) || (to && !ISO_DATE.test(to))) {
+      return Response.json({ error: "from and to must be YYYY-MM-DD dates" }, { status: 400 })
+    }
+
+    const rows = await listTradeRows({ from, to })
+    if (searchParams.get("format") === "csv") {
+      return new Response(tradesCsv(rows), {
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="trades-${from ?? "start"}-to-${to ?? "today"}.csv"`,
+        },
+      })
+    }
+
+    return Response.json({ stats: analyze(rows), rows })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,39 @@
+import { attemptsCsv, listAttempts, OUTCOMES } from "@/lib/audit"
+import { authorizeRequest } from "@/lib/auth"
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/
+
+// GET /api/audit?user=ana&outcome=FAILED&from=2026-10-01&to=2026-10-31[&format=csv]
+export async function GET(req) {
+  try {
+    const { response } = await authorizeRequest("audit")
+    if (response) return response
+
+    const { searchParams } = new URL(req.url)
+    const user = searchParams.get("user") || undefined
+    const outcome = searchParams.get("outcome") || undefined
+    const from = searchParams.get("from") || undefined
+    const to = searchParams.get("to") || undefined
+    if ((from && !ISO_DATE.test(from)) || (to && !ISO_DATE.test(to))) {
+      return Response.json({ error: "from and to must be YYYY-MM-DD dates" }, { status: 400 })
+    }
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      return Response.json({ error: `outcome must be one of ${OUTCOMES.join(", ")}` }, { status: 400 })
+    }
+
+    if (searchParams.get("format") === "csv") {
+      const entries = await listAttempts({ user, outcome, from, to, limit: Infinity })
+      return new Response(attemptsCsv(entries), {
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="audit-${from ?? "start"}-to-${to ?? "today"}.csv"`,
+        },
+      })
+    }
+
+    const entries = await listAttempts({ user, outcome, from, to, limit: Number(searchParams.get("limit")) || 500 })
+    return Response.json({ entries })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
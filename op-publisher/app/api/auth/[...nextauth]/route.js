@@ -1,5 +1,6 @@
 import NextAuth from "next-auth"
 import GoogleProvider from "next-auth/providers/google"
+import { accessOf } from "@/lib/users"
 
 export const authOptions = {
   providers: [
@@ -8,6 +9,26 @@ export const authOptions = {
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
     }),
   ],
+  callbacks: {
+    // Only invited users (or ADMIN_EMAILS) can sign in
+    async signIn({ user }) {
+      return !!(await accessOf(user.email))
+    },
+    // Looked up on every request so role changes and revocations apply at once
+    async jwt({ token }) {
+      const access = await accessOf(token.email)
+      token.role = access?.role ?? null
+      token.skipApproval = access?.skipApproval ?? false
+      return token
+    },
+    async session({ session, token }) {
+      if (session.user) {
+        session.user.role = token.role
+        session.user.skipApproval = token.skipApproval
+      }
+      return session
+    },
+  },
 }
 
 const handler = NextAuth(authOptions)
@@ -0,0 +1,28 @@
+import { authorizeRequest } from "@/lib/auth"
+import { approveDraft } from "@/lib/drafts"
+
+// Publishes the draft as its author: { comment }
+export async function POST(req, { params }) {
+  try {
+    const { session, response } = await authorizeRequest("approve")
+    if (response) return response
+
+    const { id } = await params
+    const { comment } = await req.json().catch(() => ({}))
+    const result = await approveDraft(id, { reviewer: session.user.email, comment })
+    if (result.error) {
+      return Response.json(
+        { error: result.error, automation: result.automation, deliveries: result.deliveries, unknown: result.unknown },
+        { status: result.status }
+      )
+    }
+    return Response.json({
+      draft: result.draft,
+      automation: result.automation,
+      deliveries: result.deliveries,
+      warning: result.warning,
+    })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,26 @@
+import { authorizeRequest } from "@/lib/auth"
+import { getDraft } from "@/lib/drafts"
+import { prepareSignal } from "@/lib/publish"
+
+// The payoff chart the draft would be published with, as a PNG
+export async function GET(req, { params }) {
+  try {
+    const { response } = await authorizeRequest("preview")
+    if (response) return response
+
+    const { id } = await params
+    const draft = await getDraft(id)
+    if (!draft) return Response.json({ error: "Draft not found" }, { status: 404 })
+
+    // Drawn the way approving it would, with the template version it was drafted with
+    const result = await prepareSignal(draft.payload, { templateVersion: draft.templateVersion })
+    if (result.error) return Response.json({ error: result.error }, { status: result.status })
+    if (!result.chart) return Response.json({ error: "This draft has no payoff chart" }, { status: 404 })
+
+    return new Response(result.chart, {
+      headers: { "Content-Type": "image/png", "Cache-Control": "private, no-store" },
+    })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,20 @@
+import { authorizeRequest } from "@/lib/auth"
+import { rejectDraft } from "@/lib/drafts"
+
+// Sends the draft back to its author: { comment }
+export async function POST(req, { params }) {
+  try {
+    const { session, response } = await authorizeRequest("approve")
+    if (response) return response
+
+    const { id } = await params
+    const { comment } = await req.json().catch(() => ({}))
+    const result = await rejectDraft(id, { reviewer: session.user.email, comment })
+    if (result.error) {
+      return Response.json({ error: result.error }, { status: result.status })
+    }
+    return Response.json({ draft: result.draft })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
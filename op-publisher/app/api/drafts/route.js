@@ -0,0 +1,24 @@
+import { authorizeRequest } from "@/lib/auth"
+import { loadChannels } from "@/lib/channels"
+import { DRAFT_STATUSES, listDrafts } from "@/lib/drafts"
+
+// GET /api/drafts?status=PENDING
+export async function GET(req) {
+  try {
+    const { response } = await authorizeRequest("preview")
+    if (response) return response
+
+    const { searchParams } = new URL(req.url)
+    const status = searchParams.get("status")?.toUpperCase() || undefined
+    if (status && !DRAFT_STATUSES.includes(status)) {
+      return Response.json({ error: `status must be one of ${DRAFT_STATUSES.join(", ")}` }, { status: 400 })
+    }
+
+    const drafts = await listDrafts({ status, limit: Number(searchParams.get("limit")) || 100 })
+    // So reviewers see each language formatted as its channels will get it
+    const channels = loadChannels().map(({ id, language, format }) => ({ id, language, format }))
+    return Response.json({ drafts, channels })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,26 @@
+import { authorizeRequest } from "@/lib/auth";
+import { getSpotPrice } from "@/lib/nse";
+import { DEFAULT_UNDERLYING, getUnderlying } from "@/lib/underlyings";
+
+export async function GET(req) {
+    try {
+        const { response } = await authorizeRequest("view");
+        if (response) return response;
+
+        const { searchParams } = new URL(req.url);
+        const underlying = getUnderlying(searchParams.get("underlying") || DEFAULT_UNDERLYING);
+        if (!underlying) {
+            return Response.json({ error: "Unknown underlying" }, { status: 400 });
+        }
+
+        try {
+            const quote = await getSpotPrice(underlying);
+            return Response.json({ underlying: underlying.symbol, ...quote });
+        } catch (err) {
+            console.error(`Error fetching ${underlying.symbol} market data:`, err.message);
+            return Response.json({ error: err.message }, { status: err.status ?? 502 });
+        }
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
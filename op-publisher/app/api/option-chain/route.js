@@ -0,0 +1,27 @@
+import { authorizeRequest } from "@/lib/auth";
+import { getOptionChain } from "@/lib/nse";
+import { DEFAULT_UNDERLYING, getUnderlying } from "@/lib/underlyings";
+
+// GET /api/option-chain?underlying=NIFTY&expiry=2026-10-27
+export async function GET(req) {
+    try {
+        const { response } = await authorizeRequest("view");
+        if (response) return response;
+
+        const { searchParams } = new URL(req.url);
+        const underlying = getUnderlying(searchParams.get("underlying") || DEFAULT_UNDERLYING);
+        if (!underlying) {
+            return Response.json({ error: "Unknown underlying" }, { status: 400 });
+        }
+
+        try {
+            const chain = await getOptionChain(underlying, searchParams.get("expiry"));
+            return Response.json({ underlying: underlying.symbol, ...chain });
+        } catch (err) {
+            console.error(`Error fetching ${underlying.symbol} option chain:`, err.message);
+            return Response.json({ error: err.message }, { status: err.status ?? 502 });
+        }
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
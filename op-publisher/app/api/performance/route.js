@@ -0,0 +1,22 @@
+import { authorizeRequest } from "@/lib/auth"
+import { performanceSummary } from "@/lib/pnl"
+import { SUMMARY_PERIODS } from "@/lib/signals"
+
+// GET /api/performance?period=today|week
+export async function GET(req) {
+  try {
+    const { response } = await authorizeRequest("view")
+    if (response) return response
+
+    const { searchParams } = new URL(req.url)
+    const period = (searchParams.get("period") || "today").toUpperCase()
+    if (!SUMMARY_PERIODS.includes(period)) {
+      return Response.json({ error: "period must be today or week" }, { status: 400 })
+    }
+
+    const summary = await performanceSummary(period)
+    return Response.json({ summary })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,17 @@
+import { authorizeRequest } from "@/lib/auth"
+import { listPositions } from "@/lib/positions"
+
+export async function GET(req) {
+  try {
+    const { response } = await authorizeRequest("view")
+    if (response) return response
+
+    const { searchParams } = new URL(req.url)
+    const status = searchParams.get("status")?.toUpperCase() || undefined
+
+    const positions = await listPositions({ status })
+    return Response.json({ positions })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,24 @@
+import { authorizeRequest } from "@/lib/auth"
+import { needsApproval } from "@/lib/drafts"
+import { retractSignal } from "@/lib/corrections"
+
+// Deletes the message in every channel, or strikes it through with a note
+export async function POST(req, { params }) {
+  try {
+    const { session, response } = await authorizeRequest("publish")
+    if (response) return response
+    if (needsApproval(session.user)) {
+      return Response.json({ error: "Only publishers who skip approval can correct published messages" }, { status: 403 })
+    }
+
+    const { id } = await params
+    const { note } = await req.json().catch(() => ({}))
+    const result = await retractSignal(id, note, { editor: session.user.email })
+    if (result.error) {
+      return Response.json({ error: result.error, results: result.results }, { status: result.status })
+    }
+    return Response.json({ signal: result.record, results: result.results })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,42 @@
+import { authorizeRequest } from "@/lib/auth"
+import { needsApproval } from "@/lib/drafts"
+import { editSignal } from "@/lib/corrections"
+import { getSignal } from "@/lib/ledger"
+
+export async function GET(req, { params }) {
+  try {
+    const { response } = await authorizeRequest("view")
+    if (response) return response
+
+    const { id } = await params
+    const signal = await getSignal(id)
+    if (!signal) {
+      return Response.json({ error: "Signal not found" }, { status: 404 })
+    }
+    return Response.json({ signal })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
+
+// Edits the published text in one language (default English) in every channel
+// that received it (Telegram editMessageText etc.)
+export async function PATCH(req, { params }) {
+  try {
+    const { session, response } = await authorizeRequest("publish")
+    if (response) return response
+    if (needsApproval(session.user)) {
+      return Response.json({ error: "Only publishers who skip approval can correct published messages" }, { status: 403 })
+    }
+
+    const { id } = await params
+    const { text, language } = await req.json()
+    const result = await editSignal(id, text, { editor: session.user.email, language })
+    if (result.error) {
+      return Response.json({ error: result.error, results: result.results }, { status: result.status })
+    }
+    return Response.json({ signal: result.record, results: result.results })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,34 @@
+import { randomUUID } from "crypto"
+import { authorizeRequest } from "@/lib/auth"
+import { loadChannels } from "@/lib/channels"
+import { prepareSignal } from "@/lib/publish"
+
+export async function POST(req) {
+  try {
+    const { response } = await authorizeRequest("preview")
+    if (response) return response
+
+    const input = await req.json()
+    const result = await prepareSignal(input)
+    if (result.error) {
+      return Response.json({ error: result.error }, { status: result.status })
+    }
+
+    // Which channels receive which variant, and how it is formatted
+    const channels = loadChannels().map(({ id, language, format }) => ({ id, language, format }))
+    // Sent back with the publish request so confirming twice publishes once (lib/idempotency.js)
+    const idempotencyKey = randomUUID()
+    return Response.json({
+      text: result.text,
+      variants: result.variants,
+      layouts: result.layouts,
+      channels,
+      signal: result.signal,
+      idempotencyKey,
+      // The payoff chart exactly as it will be posted
+      chart: result.chart && `data:image/png;base64,${result.chart.toString("base64")}`,
+    })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,77 @@
+import { authorizeRequest } from "@/lib/auth"
+import { needsApproval, submitDraft } from "@/lib/drafts"
+import { idempotent } from "@/lib/idempotency"
+import { listSignals } from "@/lib/ledger"
+import { publishSignal } from "@/lib/publish"
+
+// 1. INCREASE TIMEOUT FOR COLD STARTS
+export const maxDuration = 60
+
+export async function GET(req) {
+  try {
+    const { response } = await authorizeRequest("view")
+    if (response) return response
+
+    const { searchParams } = new URL(req.url)
+    const type = searchParams.get("type") || undefined
+    const limit = Number(searchParams.get("limit")) || 100
+
+    const signals = await listSignals({ type, limit })
+    return Response.json({ signals })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
+
+// Publishes a signal (or queues it for approval). Send the key from the
+// preview in an `Idempotency-Key` header so a repeated request publishes once.
+export async function POST(req) {
+  try {
+    const { session, response } = await authorizeRequest("publish")
+    if (response) return response
+
+    const input = await req.json()
+    const key = req.headers.get("Idempotency-Key")
+    const { status, body } = await idempotent({ key, user: session.user.email }, () => send(input, session.user, key))
+    return Response.json(body, { status })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
+
+// Resolves with { status, body, done }; `done` is false when nothing was published or queued
+async function send(input, user, key) {
+  // Without skipApproval the signal waits in the review queue instead
+  if (needsApproval(user)) {
+    const result = await submitDraft(input, { author: user.email })
+    if (result.error) {
+      return { status: result.status, body: { error: result.error }, done: false }
+    }
+    return { status: 202, body: { success: true, pendingApproval: true, draft: result.draft }, done: true }
+  }
+
+  // The automation recognises a repeated request id, so a retry cannot place the orders twice
+  const result = await publishSignal(input, { sender: user.email, requestId: key || undefined })
+  if (result.error) {
+    return {
+      status: result.status,
+      body: { error: result.error, automation: result.automation, deliveries: result.deliveries, unknown: result.unknown },
+      // Orders that may have been placed keep the key, so resending the same preview does nothing
+      done: !!result.unknown || !!result.deliveries?.some((d) => d.ok),
+    }
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      text: result.text,
+      automation: result.automation,
+      deliveries: result.deliveries,
+      signalId: result.record?.id ?? null,
+      recorded: !!result.record,
+      warning: result.warning,
+    },
+    done: true,
+  }
+}
@@ -0,0 +1,37 @@
+import { authorizeRequest } from "@/lib/auth"
+import { currentLibrary, getLibrary, listVersions, saveLibrary } from "@/lib/library"
+
+// GET /api/templates[?version=3]: a version of the library (default: current) and the version history
+export async function GET(req) {
+  try {
+    const { response } = await authorizeRequest("manageTemplates")
+    if (response) return response
+
+    const { searchParams } = new URL(req.url)
+    const version = searchParams.get("version")
+    const library = version === null ? await currentLibrary() : await getLibrary(Number(version))
+    if (!library) {
+      return Response.json({ error: "Template version not found" }, { status: 404 })
+    }
+    return Response.json({ library, versions: await listVersions() })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
+
+// Saves a new version: { templates, note }
+export async function POST(req) {
+  try {
+    const { session, response } = await authorizeRequest("manageTemplates")
+    if (response) return response
+
+    const { templates, note } = await req.json()
+    const result = await saveLibrary(templates, { note, by: session.user.email })
+    if (result.error) {
+      return Response.json({ error: result.error }, { status: result.status })
+    }
+    return Response.json({ library: result.library })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,37 @@
+import { authorizeRequest } from "@/lib/auth"
+import { revokeUser, updateUser } from "@/lib/users"
+
+// Changes a user's role and/or approval setting: { role, skipApproval }
+export async function PATCH(req, { params }) {
+  try {
+    const { session, response } = await authorizeRequest("manageUsers")
+    if (response) return response
+
+    const { email } = await params
+    const { role, skipApproval } = await req.json()
+    const result = await updateUser(decodeURIComponent(email), { role, skipApproval }, { by: session.user.email })
+    if (result.error) {
+      return Response.json({ error: result.error }, { status: result.status })
+    }
+    return Response.json({ user: result.user })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
+
+// Revokes a user's access; it ends with their next request
+export async function DELETE(req, { params }) {
+  try {
+    const { session, response } = await authorizeRequest("manageUsers")
+    if (response) return response
+
+    const { email } = await params
+    const result = await revokeUser(decodeURIComponent(email), { by: session.user.email })
+    if (result.error) {
+      return Response.json({ error: result.error }, { status: result.status })
+    }
+    return Response.json({ user: result.user })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
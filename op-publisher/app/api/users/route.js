@@ -0,0 +1,30 @@
+import { authorizeRequest } from "@/lib/auth"
+import { inviteUser, listUsers } from "@/lib/users"
+
+export async function GET() {
+  try {
+    const { response } = await authorizeRequest("manageUsers")
+    if (response) return response
+
+    return Response.json({ users: await listUsers() })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
+
+// Invites a user: { email, role }
+export async function POST(req) {
+  try {
+    const { session, response } = await authorizeRequest("manageUsers")
+    if (response) return response
+
+    const input = await req.json()
+    const result = await inviteUser(input, { by: session.user.email })
+    if (result.error) {
+      return Response.json({ error: result.error }, { status: result.status })
+    }
+    return Response.json({ user: result.user })
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,156 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { useSession } from "next-auth/react"
+import { can } from "@/lib/roles"
+
+/**
+ * AuditPage: every publish, draft submission, edit and retraction attempt,
+ * filterable by user, date and outcome, with a CSV export of the filtered
+ * entries.
+ */
+
+const OUTCOME_STYLES = {
+    SENT: "bg-green-100 text-green-700",
+    PARTIAL: "bg-yellow-100 text-yellow-700",
+    FAILED: "bg-red-100 text-red-700",
+    REJECTED: "bg-gray-200 text-gray-700",
+    QUEUED: "bg-blue-100 text-blue-700",
+}
+
+export default function AuditPage() {
+    const { data: session, status } = useSession()
+    const [filters, setFilters] = useState({ user: "", outcome: "", from: "", to: "" })
+    const [entries, setEntries] = useState(null)
+    const [error, setError] = useState("")
+    const [expandedId, setExpandedId] = useState(null)
+
+    const authorized = can(session?.user?.role, "audit")
+    const query = new URLSearchParams(Object.entries(filters).filter(([, v]) => v)).toString()
+    const setFilter = (key) => (value) => setFilters((f) => ({ ...f, [key]: value }))
+
+    useEffect(() => {
+        if (!authorized) return
+        let cancelled = false
+        const load = async () => {
+            try {
+                const res = await fetch(`/api/audit?${query}`)
+                const data = await res.json()
+                if (cancelled) return
+                if (res.ok) {
+                    setEntries(data.entries)
+                    setError("")
+                } else {
+                    setError(data?.error ?? "Failed to load the audit log")
+                }
+            } catch (err) {
+                console.error("Error fetching audit log:", err)
+                if (!cancelled) setError("Failed to load the audit log")
+            }
+        }
+
+        load()
+        return () => {
+            cancelled = true
+        }
+    }, [authorized, query])
+
+    // ---- Guard ----
+    if (status === "loading") return <p className="p-4">Loading...</p>
+    if (!session) return <p className="p-4">Please sign in first.</p>
+    if (!authorized) return <p className="p-4">Access denied.</p>
+
+    return (
+        <div className="min-h-screen flex justify-center bg-gray-50 p-6">
+            <div className="w-full max-w-5xl bg-white rounded-2xl shadow p-8 space-y-6">
+                <h1 className="text-2xl font-bold">Audit Log</h1>
+
+                {/* Filters */}
+                <div className="flex flex-wrap items-end gap-4 text-sm">
+                    <label className="flex flex-col font-semibold">
+                        User
+                        <input
+                            type="text"
+                            value={filters.user}
+                            onChange={(e) => setFilter("user")(e.target.value)}
+                            placeholder="email"
+                            className="border rounded p-2 font-normal"
+                        />
+                    </label>
+                    <label className="flex flex-col font-semibold">
+                        Outcome
+                        <select
+                            value={filters.outcome}
+                            onChange={(e) => setFilter("outcome")(e.target.value)}
+                            className="border rounded p-2 font-normal"
+                        >
+                            <option value="">Any</option>
+                            {Object.keys(OUTCOME_STYLES).map((o) => (
+                                <option key={o} value={o}>
+                                    {o}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                    {["from", "to"].map((key) => (
+                        <label key={key} className="flex flex-col font-semibold capitalize">
+                            {key}
+                            <input
+                                type="date"
+                                value={filters[key]}
+                                onChange={(e) => setFilter(key)(e.target.value)}
+                                className="border rounded p-2 font-normal"
+                            />
+                        </label>
+                    ))}
+                    <a
+                        href={`/api/audit?${query}${query ? "&" : ""}format=csv`}
+                        className="ml-auto bg-gray-800 text-white px-4 py-2 rounded hover:bg-gray-900"
+                    >
+                        Export CSV
+                    </a>
+                </div>
+
+                {error && <p className="text-red-600 text-sm">{error}</p>}
+                {!entries && !error && <p className="text-gray-500">Loading...</p>}
+                {entries?.length === 0 && <p className="text-gray-500">No attempts match these filters.</p>}
+
+                <div className="space-y-3">
+                    {entries?.map((entry) => (
+                        <div key={entry.id} className="border rounded-lg p-4 text-sm">
+                            <button
+                                onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                                className="w-full flex flex-wrap items-center gap-3 text-left"
+                            >
+                                <span className={`px-2 py-1 rounded text-xs ${OUTCOME_STYLES[entry.outcome]}`}>{entry.outcome}</span>
+                                <span className="font-medium">{entry.action}</span>
+                                <span className="text-gray-600">{entry.user}</span>
+                                <span className="text-gray-500 ml-auto">{new Date(entry.at).toLocaleString()}</span>
+                            </button>
+                            {entry.error && <p className="text-red-600 mt-2">{entry.error}</p>}
+                            {entry.text && <pre className="whitespace-pre-wrap font-sans mt-2">{entry.text}</pre>}
+                            <p className="text-gray-500 mt-2">
+                                Channels: {entry.channels.join(", ") || "none"}
+                                {entry.automation &&
+                                    ` · automation ${entry.automation.ok ? "accepted" : "failed"}${entry.automation.status ? ` (HTTP ${entry.automation.status})` : ""}`}
+                            </p>
+
+                            {expandedId === entry.id && (
+                                <div className="mt-3 space-y-2">
+                                    {entry.deliveries.map((d) => (
+                                        <p key={d.channelId} className={d.ok ? "text-green-700" : "text-red-600"}>
+                                            {d.channelId}: {d.ok ? `message ${d.messageId ?? "sent"}` : d.error ?? "failed"}
+                                        </p>
+                                    ))}
+                                    <pre className="bg-gray-50 rounded p-3 overflow-x-auto text-xs">
+                                        {JSON.stringify(entry.payload, null, 2)}
+                                    </pre>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    )
+}
@@ -1,6 +1,8 @@
 "use client"
 
+import Link from "next/link"
 import { signIn, signOut, useSession } from "next-auth/react"
+import { can } from "@/lib/roles"
 
 export default function HomePage() {
   const { data: session } = useSession()
@@ -10,6 +12,13 @@ export default function HomePage() {
       <div className="flex flex-col items-center justify-center h-screen">
         <h1>Welcome, {session.user.name}</h1>
         <img src={session.user.image} alt="profile" className="w-16 h-16 rounded-full" />
+        <nav className="mt-4 flex gap-4 text-blue-600">
+          {can(session.user.role, "preview") && <Link href="/telegram">Publish</Link>}
+          <Link href="/analytics">Analytics</Link>
+          {can(session.user.role, "manageUsers") && <Link href="/admin">Users</Link>}
+          {can(session.user.role, "audit") && <Link href="/audit">Audit</Link>}
+          {can(session.user.role, "manageTemplates") && <Link href="/admin/templates">Templates</Link>}
+        </nav>
         <button
           onClick={() => signOut()}
           className="mt-4 bg-gray-800 text-white px-4 py-2 rounded"
@@ -1,8 +1,18 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useRef } from "react"
 import { useSession } from "next-auth/react"
+import Image from "next/image"
 import toast from "react-hot-toast"
+import { formatExpiry, holidayName, isHolidayDataMissing, upcomingExpiries } from "@/lib/calendar"
+import { findQuote, priceWarning } from "@/lib/chain"
+import { DEFAULT_FORMAT, FORMATS, layoutSegments, relayout } from "@/lib/formatting"
+import { allowedActions, EXIT_ACTIONS, legState } from "@/lib/lifecycle"
+import { can } from "@/lib/roles"
+import { MAX_TARGETS, MIN_REWARD_RATIO, riskReward, validateLegRisk } from "@/lib/signals"
+import { getStrategy, STRATEGIES, strategyLegs } from "@/lib/strategies"
+import { DEFAULT_LANGUAGE, LANGUAGES } from "@/lib/templates"
+import { DEFAULT_UNDERLYING, getUnderlying, roundToStrike, strikeLadder, UNDERLYINGS } from "@/lib/underlyings"
 
 /**
  * TelegramPage with 3 tabs:
@@ -14,45 +24,58 @@ import toast from "react-hot-toast"
 export default function TelegramPage() {
     // ---- Common Hooks ----
     const { data: session, status } = useSession()
-    const [authorized, setAuthorized] = useState(false)
     const [activeTab, setActiveTab] = useState("trade")
+    // Reviewers can build previews; publishing needs the publisher role and,
+    // unless the user skips approval, goes through the Approvals queue
+    const role = session?.user?.role
+    const canPublish = can(role, "publish")
+    const canCorrect = canPublish && !!session?.user?.skipApproval
+
+    // ---- Selected underlying drives strikes, expiries and market data ----
+    const [underlyingSymbol, setUnderlyingSymbol] = useState(DEFAULT_UNDERLYING)
+    const underlying = getUnderlying(underlyingSymbol)
+    const [strikes, setStrikes] = useState(() => strikeLadder(getUnderlying(DEFAULT_UNDERLYING)))
+    const [baseStrike, setBaseStrike] = useState(0)
+    // Where the ladder's centre came from: { source: "live" | "stale" | "default" | "loading", asOf, reason }
+    const [spot, setSpot] = useState({ source: "loading" })
+
+    const selectUnderlying = (symbol) => {
+        // Show the default ladder right away; live data replaces it once loaded
+        setUnderlyingSymbol(symbol)
+        setBaseStrike(0)
+        setStrikes(strikeLadder(getUnderlying(symbol)))
+        setSpot({ source: "loading" })
+    }
 
     useEffect(() => {
-        if (!session?.user?.email) return setAuthorized(false)
-        const whitelist = (process.env.NEXT_PUBLIC_AUTHORIZED_USERS || "")
-            .split(",")
-            .map((s) => s.trim())
-            .filter(Boolean)
-        setAuthorized(whitelist.includes(session.user.email))
-    }, [session])
-
-    const [strikes, setStrikes] = useState([]);
-    const [baseStrike, setBaseStrike] = useState(0);
-
-    useEffect(() => {
-        async function fetchPreOpenData() {
+        let cancelled = false
+        async function fetchMarketData() {
+            const selected = getUnderlying(underlyingSymbol)
+            let data = null
             try {
-                const res = await fetch("/api/nifty-preopen");
-                const data = await res.json();
-                const lastPrice = parseFloat(data?.niftyPreopenStatus?.lastPrice);
-
-                if (!isNaN(lastPrice)) {
-                    const rounded = Math.round(lastPrice / 50) * 50;
-                    setBaseStrike(rounded);
-                    const dynamicStrikes = Array.from({ length: 71 }, (_, i) => rounded - 2500 + i * 50);
-                    setStrikes(dynamicStrikes);
-                } else {
-                    console.warn("Invalid lastPrice — using default 24000");
-                    setStrikes(Array.from({ length: 71 }, (_, i) => 24000 - 2500 + i * 50));
-                }
+                const res = await fetch(`/api/market-data?underlying=${underlyingSymbol}`)
+                data = await res.json()
             } catch (err) {
-                console.error("Error fetching pre-open data:", err);
-                setStrikes(Array.from({ length: 71 }, (_, i) => 24000 - 2500 + i * 50));
+                console.error(`Error fetching ${underlyingSymbol} market data:`, err)
+            }
+            if (cancelled) return
+
+            const lastPrice = parseFloat(data?.lastPrice)
+            if (isNaN(lastPrice)) {
+                console.warn(`Invalid lastPrice — using default ${selected.defaultSpot}`)
+                setSpot({ source: "default", reason: data?.error || "Market data unavailable" })
+                return
             }
+            setBaseStrike(roundToStrike(selected, lastPrice))
+            setStrikes(strikeLadder(selected, lastPrice))
+            setSpot({ source: data.stale ? "stale" : "live", lastPrice, asOf: data.asOf, reason: data.error })
         }
 
-        fetchPreOpenData(); // Run once on page load
-    }, []);
+        fetchMarketData()
+        return () => {
+            cancelled = true
+        }
+    }, [underlyingSymbol])
 
     // ---- Reset listener for all sub-forms ----
     useEffect(() => {
@@ -63,46 +86,111 @@ export default function TelegramPage() {
         return () => document.removeEventListener("global-reset", resetHandler)
     }, [])
 
-    // ---- sendToTelegram shared utility ----
-    const sendToTelegram = async (message) => {
-        if (!message) return toast.error("No message to send")
-        const loading = toast.loading("Sending...")
+    // ---- Signal API helpers shared by every section ----
+    // The server validates the structured signal and renders the text in
+    // every language, so the preview is exactly what will be published.
+    // Resolves with { text, variants, channels } or null.
+    const previewSignal = async (signal) => {
         try {
-            const res = await fetch("/api/sendMessage", {
+            const res = await fetch("/api/signals/preview", {
                 method: "POST",
                 headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ message }),
+                body: JSON.stringify(signal),
             })
             const data = await res.json()
-            if (res.ok) {
-                toast.success("Message sent!", { id: loading })
-                // Notify children to reset
-                document.dispatchEvent(new CustomEvent("reset-forms"))
-            } else {
-                toast.error(`Failed: ${data?.error ?? "unknown"}`, { id: loading })
-            }
+            if (res.ok) return data
+            toast.error(data?.error ?? "Could not build preview")
+        } catch (err) {
+            console.error("Error building preview:", err)
+            toast.error("Unexpected error")
+        }
+        return null
+    }
+
+    // ---- Messages sent from this page and where each one stands ----
+    const [sends, setSends] = useState([])
+    const inFlight = useRef(new Set())
+    const updateSend = (key, patch) => setSends((prev) => prev.map((s) => (s.key === key ? { ...s, ...patch } : s)))
+
+    // `idempotencyKey` comes from the preview: confirming the same preview
+    // twice is ignored here and deduplicated by the server (lib/idempotency.js)
+    const publishSignal = async (signal, idempotencyKey) => {
+        if (!signal) return toast.error("No message to send")
+        if (!canPublish) return toast.error("Your role can preview signals but not publish them")
+        if (inFlight.current.has(idempotencyKey)) return
+        inFlight.current.add(idempotencyKey)
+
+        const label = [signal.type.replaceAll("_", " "), signal.underlying].filter(Boolean).join(" · ")
+        setSends((prev) => [{ key: idempotencyKey, label, status: "pending" }, ...prev].slice(0, MAX_SENDS_SHOWN))
+        try {
+            const res = await fetch("/api/signals", {
+                method: "POST",
+                headers: { "Content-Type": "application/json", "Idempotency-Key": idempotencyKey },
+                body: JSON.stringify(signal),
+            })
+            const data = await res.json()
+            updateSend(idempotencyKey, {
+                status: sendStatus(res, data),
+                error: data?.error ?? data?.warning ?? null,
+                automation: data?.automation ?? null,
+                deliveries: data?.deliveries ?? [],
+                replayed: !!data?.replayed,
+            })
+            // Notify children to reset
+            if (res.ok) document.dispatchEvent(new CustomEvent("reset-forms"))
         } catch (err) {
-            toast.error("Unexpected error", { id: loading })
+            console.error("Error publishing signal:", err)
+            updateSend(idempotencyKey, { status: "failed", error: "Unexpected error" })
+        } finally {
+            inFlight.current.delete(idempotencyKey)
         }
     }
 
     // ---- Guard ----
     if (status === "loading") return <p className="p-4">Loading...</p>
     if (!session) return <p className="p-4">Please sign in first.</p>
-    if (!authorized) return <p className="p-4">Access denied.</p>
+    if (!can(role, "preview")) return <p className="p-4">Access denied.</p>
 
     return (
         <div className="min-h-screen flex items-center justify-center bg-gray-50 p-6">
             <div className="w-full max-w-2xl space-y-6">
 
+                {/* Underlying */}
+                <div className="flex items-center gap-3">
+                    <label className="font-semibold">Underlying</label>
+                    <select
+                        value={underlyingSymbol}
+                        onChange={(e) => selectUnderlying(e.target.value)}
+                        className="border rounded p-2"
+                    >
+                        {["INDEX", "STOCK"].map((kind) => (
+                            <optgroup key={kind} label={kind === "INDEX" ? "Indices" : "Stock options"}>
+                                {UNDERLYINGS.filter((u) => u.kind === kind).map((u) => (
+                                    <option key={u.symbol} value={u.symbol}>
+                                        {u.symbol}
+                                    </option>
+                                ))}
+                            </optgroup>
+                        ))}
+                    </select>
+                    <span className="text-sm text-gray-500">
+                        {underlying.exchange} · lot {underlying.lotSize} · strikes every {underlying.strikeStep}
+                    </span>
+                </div>
+                <SpotNotice spot={spot} underlying={underlying} />
+
                 {/* Tabs */}
                 <div className="flex gap-3 border-b mb-4">
                     {[
                         { id: "trade", label: "Fresh Trade" },
                         { id: "squareoff", label: "Square Off" },
                         { id: "expiry", label: "Expiry Trade" },
+                        { id: "stoploss", label: "Modify SL" },
                         // { id: "loss", label: "Loss Booking" },
                         { id: "ignore", label: "Ignore Alert" },
+                        { id: "performance", label: "Performance" },
+                        { id: "approvals", label: "Approvals" },
+                        { id: "history", label: "History" },
                     ].map((tab) => (
                         <button
                             key={tab.id}
@@ -117,12 +205,38 @@ export default function TelegramPage() {
                     ))}
                 </div>
 
-                {/* Sections */}
-                {activeTab === "trade" && <FreshTradeSection strikes={strikes} onSend={sendToTelegram} />}
-                {activeTab === "squareoff" && <SquareOffSection strikes={strikes} onSend={sendToTelegram} />}
-                {activeTab === "expiry" && <ExpiryTradesSection strikes={strikes} onSend={sendToTelegram} />}
-                {activeTab === "ignore" && <IgnoreAlertSection onSend={sendToTelegram} />}
+                {/* Sections (keyed by underlying so switching it starts a clean form) */}
+                {activeTab === "trade" && (
+                    <FreshTradeSection
+                        key={underlyingSymbol}
+                        underlying={underlying}
+                        strikes={strikes}
+                        baseStrike={baseStrike}
+                        onPreview={previewSignal}
+                        onSend={publishSignal}
+                    />
+                )}
+                {activeTab === "squareoff" && (
+                    <SquareOffSection key={underlyingSymbol} underlying={underlying} onPreview={previewSignal} onSend={publishSignal} />
+                )}
+                {activeTab === "expiry" && (
+                    <ExpiryTradesSection key={underlyingSymbol} underlying={underlying} onPreview={previewSignal} onSend={publishSignal} />
+                )}
+                {activeTab === "stoploss" && (
+                    <StopLossSection key={underlyingSymbol} underlying={underlying} onPreview={previewSignal} onSend={publishSignal} />
+                )}
+                {activeTab === "ignore" && <IgnoreAlertSection onPreview={previewSignal} onSend={publishSignal} />}
+                {activeTab === "performance" && <PerformanceSection onPreview={previewSignal} onSend={publishSignal} />}
+                {activeTab === "approvals" && (
+                    <ApprovalsSection canApprove={can(role, "approve")} reviewer={session.user.email} />
+                )}
+                {activeTab === "history" && <HistorySection canCorrect={canCorrect} />}
             </div>
+
+            <SendStatusPanel
+                sends={sends}
+                onDismiss={(key) => setSends((prev) => prev.filter((s) => s.key !== key))}
+            />
         </div>
     )
 }
@@ -130,7 +244,7 @@ export default function TelegramPage() {
 /* ----------------------
    Reusable Input Component
    ---------------------- */
-function Input({ label, value, setValue, placeholder = "e.g. 160" }) {
+function Input({ label, value, setValue, placeholder = "e.g. 160", quote }) {
     return (
         <div className="mb-4">
             <label className="block font-semibold mb-2">{label}</label>
@@ -141,18 +255,185 @@ function Input({ label, value, setValue, placeholder = "e.g. 160" }) {
                 className="w-full border rounded p-2"
                 placeholder={placeholder}
             />
+            {quote && <PremiumHint quote={quote} price={value} />}
+        </div>
+    )
+}
+
+/* ----------------------
+   Market premium under a price input
+   ---------------------- */
+function PremiumHint({ quote, price }) {
+    const warning = priceWarning(price, quote)
+    return (
+        <>
+            <p className="text-xs text-gray-500 mt-1">
+                LTP {quote.ltp} · Bid/Ask {quote.bid ?? "–"} / {quote.ask ?? "–"} · OI {quote.oi?.toLocaleString("en-IN") ?? "–"}
+            </p>
+            {warning && <p className="text-sm text-amber-700 mt-1">Check the price: {warning}.</p>}
+        </>
+    )
+}
+
+/* ----------------------
+   Send results: the broker automation's acknowledgement, then one result
+   per configured channel (Telegram, Discord, webhooks...)
+   ---------------------- */
+function reportSend(data) {
+    const { automation } = data ?? {}
+    if (automation?.ok) {
+        const orders = automation.acknowledgement?.orders?.length
+        toast.success(`Automation accepted${orders ? ` ${orders} order${orders === 1 ? "" : "s"}` : " the orders"}`)
+    } else if (automation) {
+        toast.error(`Automation: ${automation.error ?? "failed"}`)
+    }
+    for (const delivery of data?.deliveries ?? []) {
+        if (delivery.ok) toast.success(`Sent to ${delivery.channelId}`)
+        else if (delivery.unknown) toast.error(`${delivery.channelId} may have posted it, check before resending: ${delivery.error}`)
+        else toast.error(`${delivery.channelId} failed: ${delivery.error ?? "unknown"}`)
+    }
+    if (data?.warning) toast.error(data.warning)
+}
+
+/* ----------------------
+   Send status (one entry per message sent from this page)
+   ---------------------- */
+const MAX_SENDS_SHOWN = 5
+
+const SEND_STYLES = {
+    pending: { label: "Sending…", className: "bg-blue-100 text-blue-700" },
+    sent: { label: "Sent", className: "bg-green-100 text-green-700" },
+    partial: { label: "Partly sent", className: "bg-yellow-100 text-yellow-700" },
+    queued: { label: "Awaiting approval", className: "bg-purple-100 text-purple-700" },
+    sending: { label: "Already sending", className: "bg-gray-100 text-gray-700" },
+    failed: { label: "Failed", className: "bg-red-100 text-red-700" },
+}
+
+function sendStatus(res, data) {
+    if (data?.pendingApproval) return "queued"
+    // The same preview is still being sent by an earlier request (another window)
+    if (data?.pending) return "sending"
+    // A success with failed channels (orders placed, message not delivered) is partial too
+    const deliveries = data?.deliveries ?? []
+    const delivered = deliveries.filter((d) => d.ok).length
+    if (!res.ok) return delivered ? "partial" : "failed"
+    return delivered === deliveries.length ? "sent" : "partial"
+}
+
+function SendStatusPanel({ sends, onDismiss }) {
+    if (sends.length === 0) return null
+    return (
+        <div className="fixed top-6 right-6 w-80 space-y-2 z-40">
+            {sends.map((send) => {
+                const style = SEND_STYLES[send.status]
+                return (
+                    <div key={send.key} className="bg-white rounded-lg shadow p-3 text-sm">
+                        <div className="flex items-center gap-2">
+                            <span className="font-medium flex-1">{send.label}</span>
+                            <span className={`px-2 py-0.5 rounded text-xs ${style.className}`}>{style.label}</span>
+                            {send.status !== "pending" && (
+                                <button onClick={() => onDismiss(send.key)} className="text-gray-400" aria-label="Dismiss">
+                                    ×
+                                </button>
+                            )}
+                        </div>
+                        {send.replayed && <p className="text-xs text-gray-500 mt-1">Already sent from this preview; not sent again.</p>}
+                        {send.error && <p className="text-xs text-red-600 mt-1">{send.error}</p>}
+                        {(send.automation || send.deliveries?.length > 0) && (
+                            <div className="flex flex-wrap gap-1 mt-2 text-xs">
+                                {send.automation && (
+                                    <span
+                                        className={`px-2 py-0.5 rounded ${send.automation.ok ? "bg-green-100 text-green-700" : "bg-red-100 text-red-700"}`}
+                                    >
+                                        automation
+                                    </span>
+                                )}
+                                {send.deliveries.map((d) => (
+                                    <span
+                                        key={d.channelId}
+                                        title={d.error ?? d.photoError ?? undefined}
+                                        className={`px-2 py-0.5 rounded ${d.ok ? "bg-green-100 text-green-700" : "bg-red-100 text-red-700"}`}
+                                    >
+                                        {d.channelId}
+                                        {d.unknown && " · maybe posted"}
+                                        {d.attempts > 1 && ` · ${d.attempts} tries`}
+                                    </span>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                )
+            })}
+        </div>
+    )
+}
+
+/* ----------------------
+   Message As Telegram Shows It
+   ---------------------- */
+function MessageView({ layout, rich }) {
+    return (
+        <div className="whitespace-pre-wrap break-words bg-gray-50 p-3 rounded text-sm">
+            {layoutSegments(layout, rich).map((segments, i) => (
+                <div key={i} className="min-h-[1.25rem]">
+                    {segments.map((segment, j) =>
+                        segment.style === "bold" ? (
+                            <strong key={j}>{segment.text}</strong>
+                        ) : segment.style === "code" ? (
+                            <code key={j} className="font-mono bg-gray-200 rounded px-1">
+                                {segment.text}
+                            </code>
+                        ) : (
+                            <span key={j}>{segment.text}</span>
+                        )
+                    )}
+                </div>
+            ))}
         </div>
     )
 }
 
+const channelLabel = (channel) =>
+    channel.format === DEFAULT_FORMAT ? channel.id : `${channel.id} (${FORMATS.find((f) => f.id === channel.format)?.label})`
+
 /* ----------------------
-   Reusable Preview Component
+   Reusable Preview Component (every language side by side)
    ---------------------- */
 function PreviewCard({ preview, onConfirm, onCancel }) {
     return (
-        <div className="bg-white rounded-2xl shadow p-6 fixed bottom-6 right-6 w-96 z-50">
+        <div className="bg-white rounded-2xl shadow p-6 fixed bottom-6 inset-x-6 max-w-5xl mx-auto z-50">
             <h2 className="font-semibold mb-3">Preview</h2>
-            <pre className="whitespace-pre-wrap bg-gray-50 p-3 rounded text-sm">{preview}</pre>
+            <div className="max-h-[60vh] overflow-y-auto">
+                <div className="grid md:grid-cols-3 gap-3">
+                    {LANGUAGES.map((language) => {
+                        const channels = preview.channels.filter((c) => c.language === language.id)
+                        // Shown formatted when any of its channels is; plain channels get the same text without markup
+                        const rich = channels.some((c) => c.format !== DEFAULT_FORMAT)
+                        return (
+                            <div key={language.id}>
+                                <p className="text-sm font-medium">{language.label}</p>
+                                <p className="text-xs text-gray-500 mb-1">
+                                    {channels.length ? `To ${channels.map(channelLabel).join(", ")}` : "Not sent to any channel"}
+                                </p>
+                                <MessageView layout={preview.layouts[language.id]} rich={rich} />
+                            </div>
+                        )
+                    })}
+                </div>
+                {preview.chart && (
+                    <div className="mt-3">
+                        <p className="text-sm font-medium mb-1">Payoff chart (sent with the message on Telegram)</p>
+                        <Image
+                            src={preview.chart}
+                            alt="Payoff at expiry"
+                            width={800}
+                            height={450}
+                            unoptimized
+                            className="w-full max-w-2xl h-auto border rounded"
+                        />
+                    </div>
+                )}
+            </div>
             <div className="flex gap-3 justify-center mt-4">
                 <button onClick={onConfirm} className="bg-green-600 text-white px-4 py-2 rounded">
                     Confirm & Send
@@ -166,301 +447,264 @@ function PreviewCard({ preview, onConfirm, onCancel }) {
 }
 
 /* ----------------------
-   FreshTradeSection (extracted)
+   Strike Ladder Data Notice
    ---------------------- */
-function FreshTradeSection({ strikes, onSend }) {
-    const [confirmMode, setConfirmMode] = useState(false)
-    const [preview, setPreview] = useState("")
-    const [action, setAction] = useState("BUY") // BUY | SELL | BOTH
-    const [strike, setStrike] = useState(0)
-    const [optionType, setOptionType] = useState("CE")
-    const [marketDirection, setMarketDirection] = useState("BULLISH")
-    const [buyOptionType, setBuyOptionType] = useState("CE")
-    const [sellOptionType, setSellOptionType] = useState("PE")
-    const [buyPrice, setBuyPrice] = useState("")
-    const [sellPrice, setSellPrice] = useState("")
-    const [expiry, setExpiry] = useState("")
-    const [buyStopLoss, setBuyStopLoss] = useState("")
-    const [sellStopLoss, setSellStopLoss] = useState("")
+function SpotNotice({ spot, underlying }) {
+    const time = spot.asOf
+        ? new Date(spot.asOf).toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit", timeZone: "Asia/Kolkata" })
+        : null
 
-    useEffect(() => {
-        const today = new Date();
-        const day = today.getDay(); // 0 = Sunday, 1 = Monday, ..., 2 = Tuesday
-        let daysUntilTue;
-
-        // Check if today is Tuesday (day === 2)
-        if (day === 2) {
-            // If today is Tuesday, the expiry is today
-            daysUntilTue = 0;
-        } else {
-            // If not Tuesday, calculate days until the *next* Tuesday
-            daysUntilTue = (2 - day + 7) % 7;
-        }
+    if (spot.source === "loading") {
+        return <p className="text-sm text-gray-500">Loading {underlying.symbol} price…</p>
+    }
+    if (spot.source === "live") {
+        return (
+            <p className="text-sm text-gray-500">
+                Strikes around {underlying.symbol} {spot.lastPrice} (NSE, {time})
+            </p>
+        )
+    }
+    if (spot.source === "stale") {
+        return (
+            <p className="text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded p-2">
+                NSE is not responding; strikes are around the last known price {spot.lastPrice} from {time}.
+            </p>
+        )
+    }
+    return (
+        <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded p-2">
+            No live {underlying.symbol} price ({spot.reason}); strikes are around the default {underlying.defaultSpot}.
+            Check the strike before sending.
+        </p>
+    )
+}
 
-        const nextTuesday = new Date(today);
-        nextTuesday.setDate(today.getDate() + daysUntilTue);
-
-        // Check for holiday
-        const holidays = [
-            "2026-03-03", // Holi
-            "2026-03-31", // Shri Mahavir Jayanti
-            "2026-04-14", // Dr. Ambedkar Jayanti
-            "2026-05-26", // Bakri Id
-            "2026-10-20", // Dussehra
-            "2026-11-10", // Diwali
-            "2026-11-24", // Guru Nanak Jayanti
-        ];
-
-        const year = nextTuesday.getFullYear();
-        const month = String(nextTuesday.getMonth() + 1).padStart(2, '0');
-        const date = String(nextTuesday.getDate()).padStart(2, '0');
-        const dateString = `${year}-${month}-${date}`;
-
-        if (holidays.includes(dateString)) {
-            nextTuesday.setDate(nextTuesday.getDate() - 1);
-        }
+/* ----------------------
+   Exit action allowed by the legs' lifecycle state
+   ---------------------- */
+function ExitActionSelect({ label, actions, value, onChange, quantityPct, onQuantityPctChange }) {
+    return (
+        <div className="mb-4">
+            <label className="block font-semibold mb-2">{label}</label>
+            {actions.length === 0 ? (
+                <p className="text-gray-500 text-sm">Select at least one open leg.</p>
+            ) : (
+                <select value={value} onChange={(e) => onChange(e.target.value)} className="w-full border rounded p-2">
+                    {actions.map((id) => (
+                        <option key={id} value={id}>
+                            {EXIT_ACTIONS[id].label}
+                        </option>
+                    ))}
+                </select>
+            )}
+            {value === "bookpct" && (
+                <div className="mt-3">
+                    <Input
+                        label="Percentage of the original quantity to book"
+                        value={quantityPct}
+                        setValue={onQuantityPctChange}
+                        placeholder="e.g. 30"
+                    />
+                </div>
+            )}
+        </div>
+    )
+}
 
-        // Format the date
-        const formatted = nextTuesday.toLocaleDateString("en-GB", { day: "2-digit", month: "short" });
+/* ----------------------
+   Reusable Expiry Selector
+   ---------------------- */
+function ExpirySelect({ label = "Expiry", expiries, value, onChange, allowAll = false }) {
+    const selected = expiries.find((e) => e.date === value)
+    const missingYears = [...new Set(expiries.map((e) => e.date.slice(0, 4)))].filter(isHolidayDataMissing)
 
-        // Set the state, removing the trailing period if present (e.g., from "Jan.")
-        setExpiry(formatted.replace(".", ""));
-    }, []);
+    return (
+        <div className="mb-4">
+            <label className="block font-semibold mb-2">{label}</label>
+            <select value={value} onChange={(e) => onChange(e.target.value)} className="w-full border rounded p-2">
+                {allowAll && <option value="">All expiries</option>}
+                {expiries.map((e) => (
+                    <option key={e.date} value={e.date}>
+                        {`${e.label} · ${e.kind === "MONTHLY" ? "Monthly" : "Weekly"}`}
+                    </option>
+                ))}
+            </select>
+            {selected?.shiftedFrom && (
+                <p className="text-sm text-blue-700 mt-1">
+                    Moved from {formatExpiry(selected.shiftedFrom)} ({holidayName(selected.shiftedFrom)})
+                </p>
+            )}
+            {missingYears.length > 0 && (
+                <p className="text-sm text-red-600 mt-1">
+                    No exchange holiday list for {missingYears.join(", ")}; update config/market-holidays.json.
+                </p>
+            )}
+        </div>
+    )
+}
 
-    useEffect(() => {
-        if (action === "BOTH") {
-            if (marketDirection === "BULLISH") {
-                setBuyOptionType("CE")
-                setSellOptionType("PE")
-            } else {
-                setBuyOptionType("PE")
-                setSellOptionType("CE")
-            }
-        }
-    }, [action, marketDirection])
+/* ----------------------
+   FreshTradeSection (leg builder with strategy presets)
+   ---------------------- */
+const MAX_LEGS = 4
+
+const newLeg = (leg = {}) => ({
+    strike: 0, // 0: at the money
+    optionType: "CE",
+    side: "BUY",
+    price: null, // null: follow the market premium
+    stopLoss: "",
+    targets: Array(MAX_TARGETS).fill(""),
+    ...leg,
+})
+
+function FreshTradeSection({ underlying, strikes, baseStrike, onPreview, onSend }) {
+    const [confirmMode, setConfirmMode] = useState(false)
+    const [preview, setPreview] = useState("")
+    const [signal, setSignal] = useState(null)
+    const [strategyId, setStrategyId] = useState("") // "" = custom legs
+    const [legs, setLegs] = useState(() => [newLeg()])
+    const [payoffChart, setPayoffChart] = useState(null) // null = on for multi-leg trades
+    const [expiries] = useState(() => upcomingExpiries(underlying.expiry, { count: 8 }))
+    const [expiry, setExpiry] = useState(() => expiries[0]?.date ?? "")
+    const chain = useOptionChain(underlying.symbol, expiry)
 
     useEffect(() => {
         const resetHandler = () => {
-            setAction("BUY")
-            setStrike(0)
-            setOptionType("CE")
-            setMarketDirection("BULLISH")
-            setBuyOptionType("CE")
-            setSellOptionType("PE")
-            setBuyPrice("")
-            setSellPrice("")
-            setBuyStopLoss("")
-            setSellStopLoss("")
+            setStrategyId("")
+            setLegs([newLeg()])
+            setPayoffChart(null)
+            setExpiry(expiries[0]?.date ?? "")
             setPreview("")
+            setSignal(null)
             setConfirmMode(false)
         }
 
         document.addEventListener("reset-forms", resetHandler)
         return () => document.removeEventListener("reset-forms", resetHandler)
-    }, [])
+    }, [expiries])
 
     // ---- Utilities ----
-    const getRangeText = (val) => {
-        const low = Number(val)
-        if (!isFinite(low)) return null
-        const high = low + 5
-        const format = (n) => (Number.isInteger(n) ? String(n) : n.toFixed(2))
-        return `${format(low)} - ${format(high)}`
+    // Until a strike is picked, the at-the-money strike is selected
+    const atmStrike = baseStrike || strikes[Math.floor(strikes.length / 2)]
+    const strategy = getStrategy(strategyId)
+    const legStrike = (leg) => leg.strike || atmStrike
+    const legQuote = (leg) => findQuote(chain, legStrike(leg), leg.optionType)
+    const attachChart = payoffChart ?? legs.length > 1
+
+    const selectStrategy = (id) => {
+        const next = getStrategy(id)
+        setStrategyId(id)
+        setLegs(next ? strategyLegs(next, atmStrike, underlying.strikeStep).map(newLeg) : [newLeg()])
     }
 
-    const buildPreviewMessage = () => {
-        let mainMsg = ""
-        let stopLossMsg = ""
-
-        // --- main trade message ---
-        if (action === "BUY") {
-            const range = getRangeText(buyPrice)
-            if (!range) return toast.error("Enter valid buy price"), null
-            mainMsg = `FRESH TRADE\n\n"BUY" ${expiry} "Nifty ${strike} ${optionType}" between ${range}`
-            if (buyStopLoss) {
-                stopLossMsg = `\n\nStop loss for ${strike} ${optionType} is ${buyStopLoss}`
-            }
-        }
-
-        if (action === "SELL") {
-            const range = getRangeText(sellPrice)
-            if (!range) return toast.error("Enter valid sell price"), null
-            mainMsg = `FRESH TRADE\n\n"SELL" ${expiry} "Nifty ${strike} ${optionType}" between ${range}`
-            if (sellStopLoss) {
-                stopLossMsg = `\n\nStop loss for ${strike} ${optionType} is ${sellStopLoss}`
-            }
-        }
-
-        if (action === "BOTH") {
-            const buyRange = getRangeText(buyPrice)
-            const sellRange = getRangeText(sellPrice)
-            if (!buyRange || !sellRange)
-                return toast.error("Enter both buy and sell prices"), null
-
-            mainMsg =
-                `FRESH TRADE\n\n` +
-                `"BUY" ${expiry} "Nifty ${strike} ${buyOptionType}" between ${buyRange}\n` +
-                `AND\n` +
-                `"SELL" ${expiry} "Nifty ${strike} ${sellOptionType}" between ${sellRange}`
-
-            if (buyStopLoss && sellStopLoss) {
-                stopLossMsg = `\n\nStop loss for ${strike} ${buyOptionType} is ${buyStopLoss} and ${strike} ${sellOptionType} is ${sellStopLoss}`
-            } else if (buyStopLoss || sellStopLoss) {
-                stopLossMsg = `\n\nStop loss for ${strike} ${buyStopLoss ? buyOptionType + " is " + buyStopLoss : sellOptionType + " is " + sellStopLoss
-                    }`
-            }
-        }
+    // Picking another contract drops a typed price so it follows that premium again
+    const updateLeg = (index, patch) => {
+        const contractChanged = ["strike", "optionType", "side"].some((field) => field in patch)
+        setLegs((prev) =>
+            prev.map((leg, i) => (i === index ? { ...leg, ...(contractChanged && { price: null }), ...patch } : leg))
+        )
+    }
 
-        return mainMsg + stopLossMsg
+    const changeExpiry = (value) => {
+        setExpiry(value)
+        setLegs((prev) => prev.map((leg) => ({ ...leg, price: null })))
     }
 
-    const handlePreview = (e) => {
+    const signalLeg = (leg) => ({
+        strike: legStrike(leg),
+        optionType: leg.optionType,
+        side: leg.side,
+        entryPrice: priceOrMarket(leg.price, legQuote(leg)),
+        stopLoss: leg.stopLoss,
+        targets: leg.targets,
+    })
+
+    const buildSignal = () => ({
+        type: "FRESH_TRADE",
+        underlying: underlying.symbol,
+        expiry,
+        strategy: strategy?.id ?? null,
+        payoffChart: attachChart,
+        legs: legs.map(signalLeg),
+    })
+
+    const handlePreview = async (e) => {
         e.preventDefault()
-        const msg = buildPreviewMessage()
+        const nextSignal = buildSignal()
+        // Stop losses or targets on the wrong side of the entry never reach the preview
+        const riskError = nextSignal.legs.map(validateLegRisk).find(Boolean)
+        if (riskError) return toast.error(riskError)
+        if (nextSignal.legs.some((leg) => isPoorRiskReward(riskReward(leg)))) {
+            toast(`Risk-reward is below 1:${MIN_REWARD_RATIO} on at least one leg`, { icon: "⚠️" })
+        }
+        const msg = await onPreview(nextSignal)
         if (!msg) return
         setPreview(msg)
+        setSignal(nextSignal)
         setConfirmMode(true)
     }
 
     return (
         <form onSubmit={handlePreview} className="bg-white rounded-2xl shadow p-8">
-            <h1 className="text-2xl font-bold mb-6">NIFTY Option Signal</h1>
-
-            {/* Trade Type */}
-            <div className="mb-4">
-                <label className="block font-semibold mb-2">Trade Type</label>
-                <div className="flex gap-6">
-                    {["BUY", "SELL", "BOTH"].map((opt) => (
-                        <label key={opt} className="flex items-center gap-2">
-                            <input
-                                type="radio"
-                                name="action"
-                                value={opt}
-                                checked={action === opt}
-                                onChange={() => setAction(opt)}
-                                className="accent-blue-600"
-                            />
-                            <span>{opt === "BOTH" ? "Directional (Both)" : `Only ${opt}`}</span>
-                        </label>
-                    ))}
-                </div>
-            </div>
-
-            {/* Expiry */}
-            <div className="mb-4 flex items-center justify-between bg-blue-50 p-3 rounded">
-                <div className="text-sm font-medium">Next Weekly Expiry</div>
-                <div className="text-lg font-bold text-blue-700">{expiry}</div>
-            </div>
+            <h1 className="text-2xl font-bold mb-6">{underlying.symbol} Option Signal</h1>
 
-            {/* Strike */}
+            {/* Strategy */}
             <div className="mb-4">
-                <label className="block font-semibold mb-2">Strike Price</label>
+                <label className="block font-semibold mb-2">Strategy</label>
                 <select
-                    value={strike}
-                    onChange={(e) => setStrike(Number(e.target.value))}
+                    value={strategyId}
+                    onChange={(e) => selectStrategy(e.target.value)}
                     className="w-full border rounded p-2"
                 >
-                    {strikes.map((s) => (
-                        <option key={s} value={s}>
-                            {s}
+                    <option value="">Custom legs</option>
+                    {STRATEGIES.map((s) => (
+                        <option key={s.id} value={s.id}>
+                            {s.label}
                         </option>
                     ))}
                 </select>
             </div>
 
-            {/* Option type for single BUY/SELL */}
-            {action !== "BOTH" && (
-                <div className="mb-4">
-                    <label className="block font-semibold mb-2">Option Type</label>
-                    <div className="flex gap-6">
-                        {["CE", "PE"].map((t) => (
-                            <label key={t} className="flex items-center gap-2">
-                                <input
-                                    type="radio"
-                                    name="optionType"
-                                    value={t}
-                                    checked={optionType === t}
-                                    onChange={() => setOptionType(t)}
-                                    className="accent-blue-600"
-                                />
-                                <span>{t}</span>
-                            </label>
-                        ))}
-                    </div>
-                </div>
-            )}
-
-            {/* Direction selector when BOTH */}
-            {action === "BOTH" && (
-                <div className="mb-4">
-                    <label className="block font-semibold mb-2">Market Direction</label>
-                    <div className="flex gap-6 items-center">
-                        {["BULLISH", "BEARISH"].map((d) => (
-                            <label key={d} className="flex items-center gap-2">
-                                <input
-                                    type="radio"
-                                    name="direction"
-                                    value={d}
-                                    checked={marketDirection === d}
-                                    onChange={() => setMarketDirection(d)}
-                                    className="accent-blue-600"
-                                />
-                                <span>{d[0] + d.slice(1).toLowerCase()}</span>
-                            </label>
-                        ))}
-                    </div>
-                </div>
-            )}
-
-            {/* Price inputs */}
-            {action === "BUY" && (
-                <div>
-                    <Input label="Buy Base Price" value={buyPrice} setValue={setBuyPrice} />
-                    <Input
-                        label={`Stop Loss (${optionType})`}
-                        value={buyStopLoss}
-                        setValue={setBuyStopLoss}
-                        placeholder="e.g. 120"
-                    />
-                </div>
-            )}
-            {action === "SELL" && (
-                <div>
-                    <Input label="Sell Base Price" value={sellPrice} setValue={setSellPrice} />
-                    <Input
-                        label={`Stop Loss (${optionType})`}
-                        value={sellStopLoss}
-                        setValue={setSellStopLoss}
-                        placeholder="e.g. 120"
-                    />
-                </div>
-            )}
-            {action === "BOTH" && (
-                <div className="grid grid-cols-2 gap-4 mb-4">
-                    <Input
-                        label={`Buy Base Price (${buyOptionType})`}
-                        value={buyPrice}
-                        setValue={setBuyPrice}
-                    />
-                    <Input
-                        label={`Stop Loss (${buyOptionType})`}
-                        value={buyStopLoss}
-                        setValue={setBuyStopLoss}
-                        placeholder="e.g. 120"
-                    />
-                    <Input
-                        label={`Sell Base Price (${sellOptionType})`}
-                        value={sellPrice}
-                        setValue={setSellPrice}
-                    />
-                    <Input
-                        label={`Stop Loss (${sellOptionType})`}
-                        value={sellStopLoss}
-                        setValue={setSellStopLoss}
-                        placeholder="e.g. 125"
+            {/* Expiry */}
+            <ExpirySelect expiries={expiries} value={expiry} onChange={changeExpiry} />
+
+            {/* Legs */}
+            <div className="mb-4 space-y-3">
+                {legs.map((leg, index) => (
+                    <LegEditor
+                        key={index}
+                        index={index}
+                        leg={leg}
+                        signalLeg={signalLeg(leg)}
+                        strike={legStrike(leg)}
+                        strikes={strikes}
+                        quote={legQuote(leg)}
+                        // A strategy fixes the side and type of every leg; only strikes move
+                        locked={Boolean(strategy)}
+                        onChange={(patch) => updateLeg(index, patch)}
+                        onRemove={
+                            !strategy && legs.length > 1
+                                ? () => setLegs((prev) => prev.filter((_, i) => i !== index))
+                                : null
+                        }
                     />
-                </div>
-            )}
+                ))}
+                {!strategy && legs.length < MAX_LEGS && (
+                    <button
+                        type="button"
+                        onClick={() => setLegs((prev) => [...prev, newLeg()])}
+                        className="text-blue-600 text-sm font-medium"
+                    >
+                        + Add leg
+                    </button>
+                )}
+            </div>
+
+            <label className="flex items-center gap-2 mb-4 text-sm">
+                <input type="checkbox" checked={attachChart} onChange={(e) => setPayoffChart(e.target.checked)} />
+                Attach payoff chart (Telegram)
+            </label>
 
             <button className="w-full bg-blue-600 text-white py-2 rounded" type="submit">
                 Preview Message
@@ -470,9 +714,10 @@ function FreshTradeSection({ strikes, onSend }) {
                 <PreviewCard
                     preview={preview}
                     onConfirm={() => {
-                        onSend(preview)
+                        onSend(signal, preview.idempotencyKey)
                         setConfirmMode(false)
                         setPreview("")
+                        setSignal(null)
                     }}
                     onCancel={() => setConfirmMode(false)}
                 />
@@ -482,294 +727,402 @@ function FreshTradeSection({ strikes, onSend }) {
 }
 
 /* ----------------------
-   SquareOffSection (with flipped input order)
+   One leg of a Fresh Trade
    ---------------------- */
-function SquareOffSection({ strikes, onSend }) {
-    const [exitMode, setExitMode] = useState("") // BUY | SELL | BOTH
-    const [marketView, setMarketView] = useState("BULLISH") // BULLISH | BEARISH
-    const [strike, setStrike] = useState(strikes?.[0] ?? 25900)
-    const [ceExit, setCeExit] = useState("")
-    const [peExit, setPeExit] = useState("")
-    const [singleExit, setSingleExit] = useState("")
-    const [selectedOption, setSelectedOption] = useState("") // CE or PE for single exit
-    const [action, setAction] = useState("book100")
-    const [preview, setPreview] = useState("")
+const isPoorRiskReward = (rr) => rr !== null && rr.ratios[rr.ratios.length - 1] < MIN_REWARD_RATIO
 
-    const squareOffTemplates = {
-        book100: "Modify stop loss and book 100% profit.",
-        book50: "Modify stop loss and book 50% profit and now keep trailing stop loss at cost for remaining 50% qty.",
-        trailprofit: "Trailing stop loss triggered. Modify stop loss and book profit for remaining 50% quantity.",
-        trailclose: "Trailing stop loss triggered. Square off position.",
-        stoploss: "Stop loss triggered. Modify your stop loss and square off position.",
-    }
+function LegEditor({ index, leg, signalLeg, strike, strikes, quote, locked, onChange, onRemove }) {
+    // Strikes set by a strategy preset may fall outside the current ladder
+    const options = strikes.includes(strike) ? strikes : [...strikes, strike].sort((a, b) => a - b)
+    const side = leg.side === "BUY" ? "Buy" : "Sell"
 
-    useEffect(() => {
-        const resetHandler = () => {
-            setExitMode("")
-            setMarketView("BULLISH")
-            setStrike(strikes?.[0] ?? 25900)
-            setCeExit("")
-            setPeExit("")
-            setSingleExit("")
-            setSelectedOption("")
-            setAction("book100")
-            setPreview("")
-        }
-        document.addEventListener("reset-forms", resetHandler)
-        return () => document.removeEventListener("reset-forms", resetHandler)
-    }, [strikes])
+    return (
+        <div className="border rounded p-3">
+            <div className="flex items-center justify-between mb-2">
+                <span className="font-semibold">Leg {index + 1}</span>
+                {onRemove && (
+                    <button type="button" onClick={onRemove} className="text-sm text-red-600">
+                        Remove
+                    </button>
+                )}
+            </div>
+            <div className="grid grid-cols-3 gap-3 mb-3">
+                <select
+                    value={leg.side}
+                    disabled={locked}
+                    onChange={(e) => onChange({ side: e.target.value })}
+                    className="border rounded p-2"
+                >
+                    <option value="BUY">BUY</option>
+                    <option value="SELL">SELL</option>
+                </select>
+                <select
+                    value={strike}
+                    onChange={(e) => onChange({ strike: Number(e.target.value) })}
+                    className="border rounded p-2"
+                >
+                    {options.map((s) => (
+                        <option key={s} value={s}>
+                            {s}
+                        </option>
+                    ))}
+                </select>
+                <select
+                    value={leg.optionType}
+                    disabled={locked}
+                    onChange={(e) => onChange({ optionType: e.target.value })}
+                    className="border rounded p-2"
+                >
+                    <option value="CE">CE</option>
+                    <option value="PE">PE</option>
+                </select>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+                <Input
+                    label={`${side} Base Price`}
+                    value={priceOrMarket(leg.price, quote)}
+                    setValue={(price) => onChange({ price })}
+                    quote={quote}
+                />
+                <Input
+                    label={`Stop Loss (${leg.optionType})`}
+                    value={leg.stopLoss}
+                    setValue={(stopLoss) => onChange({ stopLoss })}
+                    placeholder="e.g. 120"
+                />
+            </div>
+            <div className="grid grid-cols-3 gap-3">
+                {leg.targets.map((target, i) => (
+                    <Input
+                        key={i}
+                        label={`Target ${i + 1}`}
+                        value={target}
+                        setValue={(value) => onChange({ targets: leg.targets.map((t, j) => (j === i ? value : t)) })}
+                        placeholder="optional"
+                    />
+                ))}
+            </div>
+            <RiskSummary leg={signalLeg} />
+        </div>
+    )
+}
 
-    const buildMessage = () => {
-        const actionText = squareOffTemplates[action]
-        if (!actionText) {
-            toast.error("Select valid action type.")
-            return null
-        }
+/* ----------------------
+   Risk-reward of a leg
+   ---------------------- */
+function RiskSummary({ leg }) {
+    if (!(Number(leg.entryPrice) > 0)) return null
+    const error = validateLegRisk(leg)
+    if (error) return <p className="text-sm text-red-600">{error}</p>
 
-        let msg = ""
+    const rr = riskReward(leg)
+    if (!rr) return null
+    return (
+        <p className={`text-sm ${isPoorRiskReward(rr) ? "text-amber-700" : "text-gray-600"}`}>
+            Risk {rr.risk.toFixed(2)} per unit · R:R{" "}
+            {rr.ratios.map((ratio, i) => `T${i + 1} 1:${ratio.toFixed(1)}`).join(" · ")}
+            {isPoorRiskReward(rr) && ` · below 1:${MIN_REWARD_RATIO}`}
+        </p>
+    )
+}
 
-        // Exit from Buy (Sell to close)
-        if (exitMode === "BUY") {
-            if (!selectedOption) {
-                toast.error("Select CE or PE to exit from Buy position.")
-                return null
-            }
-            if (!singleExit) {
-                toast.error("Enter exit price.")
-                return null
+/* ----------------------
+   Ledger data (open positions, recent signals)
+   ---------------------- */
+function useServerList(url, key) {
+    const [items, setItems] = useState([])
+    // The rest of the response, for lists that come with context
+    const [extra, setExtra] = useState({})
+    const [loading, setLoading] = useState(true)
+
+    useEffect(() => {
+        let cancelled = false
+        const load = async () => {
+            try {
+                const res = await fetch(url)
+                const data = await res.json()
+                if (!cancelled) {
+                    setItems(res.ok ? data[key] : [])
+                    setExtra(res.ok ? data : {})
+                }
+            } catch (err) {
+                console.error(`Error fetching ${url}:`, err)
+            } finally {
+                if (!cancelled) setLoading(false)
             }
-            msg = `SQUARE OFF\n${actionText} Sell ${strike} ${selectedOption} @ ${singleExit}`
         }
 
-        // Exit from Sell (Buy to close)
-        if (exitMode === "SELL") {
-            if (!selectedOption) {
-                toast.error("Select CE or PE to exit from Sell position.")
-                return null
-            }
-            if (!singleExit) {
-                toast.error("Enter exit price.")
-                return null
-            }
-            msg = `SQUARE OFF\n${actionText} Buy ${strike} ${selectedOption} @ ${singleExit}`
+        load()
+        // Refresh after every successful send
+        document.addEventListener("reset-forms", load)
+        return () => {
+            cancelled = true
+            document.removeEventListener("reset-forms", load)
         }
+    }, [url, key])
 
-        // Exit from Both
-        if (exitMode === "BOTH") {
-            if (!ceExit || !peExit) {
-                toast.error("Enter both CE and PE exit prices.")
-                return null
-            }
+    return { items, extra, loading }
+}
 
-            if (marketView === "BULLISH") {
-                // Bullish = originally Buy CE, Sell PE → to close: Sell CE, Buy PE
-                msg = `SQUARE OFF\n${actionText} Sell ${strike} CE @ ${ceExit} and Buy ${strike} PE @ ${peExit}`
-            } else {
-                // Bearish = originally Buy PE, Sell CE → to close: Sell PE, Buy CE
-                msg = `SQUARE OFF\n${actionText} Sell ${strike} PE @ ${peExit} and Buy ${strike} CE @ ${ceExit}`
+function useOpenPositions() {
+    const { items, loading } = useServerList("/api/positions?status=open", "positions")
+    return { positions: items, loading }
+}
+
+function useRecentSignals() {
+    const { items, loading } = useServerList("/api/signals?limit=20", "signals")
+    return { signals: items, loading }
+}
+
+/* ----------------------
+   Option chain (market premiums for price autofill)
+   ---------------------- */
+const CHAIN_REFRESH_MS = 30000
+
+function useOptionChain(symbol, expiry) {
+    const [loaded, setLoaded] = useState({ key: null, chain: null })
+    const key = symbol && expiry ? `${symbol}:${expiry}` : null
+
+    useEffect(() => {
+        if (!key) return
+        let cancelled = false
+        const load = async () => {
+            try {
+                const res = await fetch(`/api/option-chain?underlying=${symbol}&expiry=${expiry}`)
+                const data = await res.json()
+                if (!cancelled) setLoaded({ key, chain: res.ok ? data : null })
+            } catch (err) {
+                console.error(`Error fetching ${symbol} option chain:`, err)
             }
         }
 
-        return msg
-    }
+        load()
+        const timer = setInterval(load, CHAIN_REFRESH_MS)
+        return () => {
+            cancelled = true
+            clearInterval(timer)
+        }
+    }, [key, symbol, expiry])
 
-    const handlePreview = (e) => {
-        e.preventDefault()
-        const message = buildMessage()
-        if (message) setPreview(message)
-    }
+    // A chain loaded for another contract is never shown
+    return loaded.key === key ? loaded.chain : null
+}
 
-    return (
-        <form onSubmit={handlePreview} className="bg-white rounded-2xl shadow p-8">
-            <h1 className="text-2xl font-bold mb-6">Square Off</h1>
+// Until the publisher types a price (null), the field follows the market premium
+const priceOrMarket = (price, quote) => price ?? (quote ? String(quote.ltp) : "")
 
-            {/* Step 1: Exit Mode */}
-            <div className="mb-6">
-                <label className="block font-semibold mb-2">Select Exit Mode</label>
-                <div className="flex gap-6">
-                    <label>
-                        <input
-                            type="radio"
-                            name="exitMode"
-                            value="BUY"
-                            checked={exitMode === "BUY"}
-                            onChange={() => setExitMode("BUY")}
-                            className="accent-blue-600"
-                        />{" "}
-                        Exit from Buy
-                    </label>
-                    <label>
-                        <input
-                            type="radio"
-                            name="exitMode"
-                            value="SELL"
-                            checked={exitMode === "SELL"}
-                            onChange={() => setExitMode("SELL")}
-                            className="accent-blue-600"
-                        />{" "}
-                        Exit from Sell
-                    </label>
-                    <label>
-                        <input
-                            type="radio"
-                            name="exitMode"
-                            value="BOTH"
-                            checked={exitMode === "BOTH"}
-                            onChange={() => setExitMode("BOTH")}
-                            className="accent-blue-600"
-                        />{" "}
-                        Exit from Both
-                    </label>
-                </div>
-            </div>
+const describeLeg = (leg) => `${leg.side} ${leg.strike} ${leg.optionType}`
 
-            {/* Step 2: Strike Selection (always visible) */}
-            <div className="mb-4">
-                <label className="block font-semibold mb-2">Strike Price</label>
-                <select
-                    value={strike}
-                    onChange={(e) => setStrike(Number(e.target.value))}
-                    className="w-full border rounded p-2"
-                >
-                    {strikes.map((s) => (
-                        <option key={s} value={s}>
-                            {s}
-                        </option>
-                    ))}
-                </select>
-            </div>
+const describePosition = (position) =>
+    [
+        `${position.underlying} ${formatExpiry(position.expiry) ?? ""}`,
+        getStrategy(position.strategy)?.label,
+        position.status === "PARTIAL" && "partially booked",
+        position.legs.map(describeLeg).join(" / "),
+    ]
+        .filter(Boolean)
+        .join(" · ")
 
-            {/* Step 3: If Single Exit */}
-            {(exitMode === "BUY" || exitMode === "SELL") && (
-                <>
-                    <div className="mb-4">
-                        <label className="block font-semibold mb-2">Select Option Type</label>
-                        <div className="flex gap-6">
-                            <label>
-                                <input
-                                    type="radio"
-                                    name="optionType"
-                                    value="CE"
-                                    checked={selectedOption === "CE"}
-                                    onChange={() => setSelectedOption("CE")}
-                                    className="accent-blue-600"
-                                />{" "}
-                                CE
-                            </label>
-                            <label>
-                                <input
-                                    type="radio"
-                                    name="optionType"
-                                    value="PE"
-                                    checked={selectedOption === "PE"}
-                                    onChange={() => setSelectedOption("PE")}
-                                    className="accent-blue-600"
-                                />{" "}
-                                PE
-                            </label>
-                        </div>
-                    </div>
+const closingSide = (side) => (side === "BUY" ? "Sell" : "Buy")
 
-                    <Input
-                        label={`Exit Price for ${exitMode === "BUY" ? "Buy" : "Sell"} ${selectedOption || "Option"}`}
-                        value={singleExit}
-                        setValue={setSingleExit}
-                        placeholder="e.g. 120"
-                    />
-                </>
-            )}
+const CLOSE_REASON_LABELS = { TARGET: "target", TRAIL: "trailing SL", STOP_LOSS: "stop loss" }
 
-            {/* Step 4: If Both */}
-            {exitMode === "BOTH" && (
-                <>
-                    <div className="mb-4">
-                        <label className="block font-semibold mb-2">Market View</label>
-                        <div className="flex gap-6">
-                            <label>
-                                <input
-                                    type="radio"
-                                    name="marketView"
-                                    value="BULLISH"
-                                    checked={marketView === "BULLISH"}
-                                    onChange={() => setMarketView("BULLISH")}
-                                    className="accent-blue-600"
-                                />{" "}
-                                Bullish (Buy CE & Sell PE)
-                            </label>
-                            <label>
-                                <input
-                                    type="radio"
-                                    name="marketView"
-                                    value="BEARISH"
-                                    checked={marketView === "BEARISH"}
-                                    onChange={() => setMarketView("BEARISH")}
-                                    className="accent-blue-600"
-                                />{" "}
-                                Bearish (Buy PE & Sell CE)
-                            </label>
-                        </div>
-                    </div>
+const describeLegState = (leg) => {
+    const state = legState(leg)
+    if (state === "CLOSED") return `closed by ${CLOSE_REASON_LABELS[leg.closedReason] ?? "exit"}`
+    return state === "PARTIAL" ? `partially booked · ${leg.remainingPct}% open` : "100% open"
+}
 
-                    <div className="grid grid-cols-2 gap-4 mb-4">
-                        {marketView === "BULLISH" ? (
-                            <>
-                                <Input
-                                    label="CE Exit Price (Sell to Close)"
-                                    value={ceExit}
-                                    setValue={setCeExit}
-                                    placeholder="e.g. 120"
-                                />
-                                <Input
-                                    label="PE Exit Price (Buy to Close)"
-                                    value={peExit}
-                                    setValue={setPeExit}
-                                    placeholder="e.g. 125"
-                                />
-                            </>
-                        ) : (
-                            <>
-                                <Input
-                                    label="PE Exit Price (Sell to Close)"
-                                    value={peExit}
-                                    setValue={setPeExit}
-                                    placeholder="e.g. 125"
-                                />
-                                <Input
-                                    label="CE Exit Price (Buy to Close)"
-                                    value={ceExit}
-                                    setValue={setCeExit}
-                                    placeholder="e.g. 120"
-                                />
-                            </>
-                        )}
-                    </div>
-                </>
-            )}
+// First lines of a published message, e.g. `FRESH TRADE · "BUY" 21 Oct "Nifty 25900 CE" ...`
+const describeSignal = (signal) => {
+    const time = new Date(signal.createdAt).toLocaleString("en-GB", {
+        day: "2-digit",
+        month: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+    })
+    const summary = signal.text.split("\n").filter(Boolean).slice(0, 2).join(" · ")
+    return `${time} · ${summary.length > 90 ? summary.slice(0, 90) + "…" : summary}`
+}
+
+/* ----------------------
+   SquareOffSection (exits an open position)
+   ---------------------- */
+function SquareOffSection({ underlying, onPreview, onSend }) {
+    const { positions: openPositions, loading } = useOpenPositions()
+    const [expiries] = useState(() => upcomingExpiries(underlying.expiry, { count: 8 }))
+    const [expiryFilter, setExpiryFilter] = useState("")
+    const [positionId, setPositionId] = useState("")
+    const [selectedLegs, setSelectedLegs] = useState([]) // leg indexes to exit
+    const [exitPrices, setExitPrices] = useState({}) // legIndex -> price; missing legs follow the market
+    const [action, setAction] = useState("book100")
+    const [quantityPct, setQuantityPct] = useState("")
+    const [preview, setPreview] = useState("")
+    const [signal, setSignal] = useState(null) // the signal as previewed
+
+    const positions = openPositions.filter(
+        (p) => p.underlying === underlying.symbol && (!expiryFilter || p.expiry === expiryFilter)
+    )
+    const position = positions.find((p) => p.id === positionId)
+    const chain = useOptionChain(position?.underlying, position?.expiry)
+    const legQuote = (index) => findQuote(chain, position.legs[index].strike, position.legs[index].optionType)
+    const exitValue = (index) => priceOrMarket(exitPrices[index], legQuote(index))
+
+    useEffect(() => {
+        const resetHandler = () => {
+            setExpiryFilter("")
+            setPositionId("")
+            setSelectedLegs([])
+            setExitPrices({})
+            setAction("book100")
+            setQuantityPct("")
+            setPreview("")
+            setSignal(null)
+        }
+        document.addEventListener("reset-forms", resetHandler)
+        return () => document.removeEventListener("reset-forms", resetHandler)
+    }, [])
+
+    const selectPosition = (id) => {
+        const next = positions.find((p) => p.id === id)
+        setPositionId(id)
+        setExitPrices({})
+        // Every open leg is exited together unless the publisher unticks some
+        setSelectedLegs(
+            next ? next.legs.map((leg, i) => (leg.remainingPct > 0 ? i : null)).filter((i) => i !== null) : []
+        )
+    }
+
+    const openLegs = position
+        ? position.legs.map((leg, i) => (leg.remainingPct > 0 ? i : null)).filter((i) => i !== null)
+        : []
+
+    const toggleLeg = (index) => {
+        setSelectedLegs((prev) =>
+            prev.includes(index) ? prev.filter((i) => i !== index) : [...prev, index].sort()
+        )
+    }
+
+    // Only actions valid for every selected leg's lifecycle state are offered
+    const actions = position ? allowedActions(selectedLegs.map((i) => position.legs[i])) : []
+    const selectedAction = actions.includes(action) ? action : actions[0] ?? ""
+
+    // Leg details come from the open position on the server
+    const buildSignal = () => ({
+        type: "SQUARE_OFF",
+        action: selectedAction,
+        quantityPct,
+        positionId,
+        legs: selectedLegs.map((index) => ({ legIndex: index, exitPrice: exitValue(index) })),
+    })
+
+    const handlePreview = async (e) => {
+        e.preventDefault()
+        if (selectedLegs.length === 0) return toast.error("Select at least one leg to exit.")
+        // Prices following the market keep moving; confirm sends what was previewed
+        const nextSignal = buildSignal()
+        const message = await onPreview(nextSignal)
+        if (!message) return
+        setPreview(message)
+        setSignal(nextSignal)
+    }
+
+    return (
+        <form onSubmit={handlePreview} className="bg-white rounded-2xl shadow p-8">
+            <h1 className="text-2xl font-bold mb-6">Square Off</h1>
 
-            {/* Step 5: Action Type */}
-            {exitMode && (
-                <div className="mb-4">
-                    <label className="block font-semibold mb-2">Action Type</label>
+            {/* Step 1: Open position, optionally narrowed down by expiry */}
+            <ExpirySelect
+                expiries={expiries}
+                value={expiryFilter}
+                onChange={(value) => {
+                    setExpiryFilter(value)
+                    selectPosition("")
+                }}
+                allowAll
+            />
+            <div className="mb-6">
+                <label className="block font-semibold mb-2">Open Position</label>
+                {!loading && positions.length === 0 ? (
+                    <p className="text-gray-500 text-sm">
+                        No open {underlying.symbol} positions{expiryFilter ? " for this expiry" : ". Publish a Fresh Trade first"}.
+                    </p>
+                ) : (
                     <select
-                        value={action}
-                        onChange={(e) => setAction(e.target.value)}
+                        value={positionId}
+                        onChange={(e) => selectPosition(e.target.value)}
                         className="w-full border rounded p-2"
                     >
-                        <option value="book100">Book 100% profit</option>
-                        <option value="book50">Book 50% profit</option>
-                        <option value="trailprofit">
-                            Trailing SL triggered – book remaining 50% profit
-                        </option>
-                        <option value="trailclose">
-                            Trailing SL triggered – square off position
-                        </option>
-                        <option value="stoploss">Stop loss triggered</option>
+                        <option value="">{loading ? "Loading..." : "Select position"}</option>
+                        {positions.map((p) => (
+                            <option key={p.id} value={p.id}>
+                                {describePosition(p)}
+                            </option>
+                        ))}
                     </select>
+                )}
+            </div>
+
+            {/* Step 2: Legs to exit, with exit price per leg */}
+            {position && (
+                <div className="mb-4 space-y-3">
+                    <div className="flex items-center justify-between">
+                        <label className="block font-semibold">Legs to Exit</label>
+                        {openLegs.length > 1 && (
+                            <button
+                                type="button"
+                                onClick={() =>
+                                    setSelectedLegs(selectedLegs.length === openLegs.length ? [] : openLegs)
+                                }
+                                className="text-sm text-blue-600"
+                            >
+                                {selectedLegs.length === openLegs.length ? "Clear selection" : "Select all open legs"}
+                            </button>
+                        )}
+                    </div>
+                    {position.legs.map((leg, index) => (
+                        <div key={index} className="border rounded p-3">
+                            <label className="flex items-center gap-2">
+                                <input
+                                    type="checkbox"
+                                    checked={selectedLegs.includes(index)}
+                                    disabled={leg.remainingPct === 0}
+                                    onChange={() => toggleLeg(index)}
+                                    className="accent-blue-600"
+                                />
+                                <span className="font-medium">{describeLeg(leg)}</span>
+                                <span className="text-sm text-gray-500">{describeLegState(leg)}</span>
+                            </label>
+                            {selectedLegs.includes(index) && (
+                                <div className="mt-2">
+                                    <Input
+                                        label={`Exit Price (${closingSide(leg.side)} to Close)`}
+                                        value={exitValue(index)}
+                                        setValue={(val) => setExitPrices((prev) => ({ ...prev, [index]: val }))}
+                                        placeholder="e.g. 120"
+                                        quote={legQuote(index)}
+                                    />
+                                </div>
+                            )}
+                        </div>
+                    ))}
                 </div>
             )}
 
-            {/* Step 6: Preview */}
-            {exitMode && (
+            {/* Step 3: Action Type */}
+            {position && (
+                <ExitActionSelect
+                    label="Action Type"
+                    actions={actions}
+                    value={selectedAction}
+                    onChange={setAction}
+                    quantityPct={quantityPct}
+                    onQuantityPctChange={setQuantityPct}
+                />
+            )}
+
+            {/* Step 4: Preview */}
+            {position && (
                 <button
                     type="submit"
                     className="w-full bg-blue-600 text-white py-2 rounded"
@@ -783,11 +1136,8 @@ function SquareOffSection({ strikes, onSend }) {
                     <PreviewCard
                         preview={preview}
                         onConfirm={() => {
-                            onSend(preview)
+                            onSend(signal, preview.idempotencyKey)
                             setPreview("")
-                            setCeExit("")
-                            setPeExit("")
-                            setSingleExit("")
                         }}
                         onCancel={() => setPreview("")}
                     />
@@ -798,199 +1148,435 @@ function SquareOffSection({ strikes, onSend }) {
 }
 
 /* ----------------------
-   IgnoreAlertSection
+   StopLossSection (moves or trails the stop loss of an open position)
    ---------------------- */
-function IgnoreAlertSection({ onSend }) {
-    const [loading, setLoading] = useState(false)
+function StopLossSection({ underlying, onPreview, onSend }) {
+    const { positions: openPositions, loading } = useOpenPositions()
+    const [positionId, setPositionId] = useState("")
+    const [stopLosses, setStopLosses] = useState({}) // legIndex -> new stop loss
+    const [preview, setPreview] = useState("")
+    const [signal, setSignal] = useState(null) // the signal as previewed
 
-    const handleSend = async () => {
-        if (loading) return
-        setLoading(true)
-        try {
-            await onSend("Kindly ignore the alert")
-        } finally {
-            setLoading(false)
+    const positions = openPositions.filter((p) => p.underlying === underlying.symbol)
+    const position = positions.find((p) => p.id === positionId)
+
+    useEffect(() => {
+        const resetHandler = () => {
+            setPositionId("")
+            setStopLosses({})
+            setPreview("")
+            setSignal(null)
         }
+        document.addEventListener("reset-forms", resetHandler)
+        return () => document.removeEventListener("reset-forms", resetHandler)
+    }, [])
+
+    // Only legs with a new level are sent
+    const buildSignal = () => ({
+        type: "MODIFY_SL",
+        positionId,
+        legs: Object.entries(stopLosses)
+            .filter(([, value]) => value !== "")
+            .map(([index, value]) => ({ legIndex: Number(index), stopLoss: value })),
+    })
+
+    const handlePreview = async (e) => {
+        e.preventDefault()
+        if (buildSignal().legs.length === 0) return toast.error("Enter a new stop loss for at least one leg.")
+        // The form stays editable under the preview; confirm sends what was previewed
+        const nextSignal = buildSignal()
+        const message = await onPreview(nextSignal)
+        if (!message) return
+        setPreview(message)
+        setSignal(nextSignal)
     }
 
     return (
-        <div className="bg-white rounded-2xl shadow p-8">
-            <h1 className="text-2xl font-bold mb-6">Ignore Alert</h1>
-            <p className="text-gray-600 mb-6">
-                Click the button below to send a message to the Telegram channel.
-            </p>
-            <button
-                onClick={handleSend}
-                disabled={loading}
-                className={`w-full py-3 rounded text-white ${loading ? "bg-gray-400" : "bg-blue-600 hover:bg-blue-700"
-                    }`}
-            >
-                {loading ? "Sending..." : "Send 'Kindly ignore the alert'"}
-            </button>
-        </div>
+        <form onSubmit={handlePreview} className="bg-white rounded-2xl shadow p-8">
+            <h1 className="text-2xl font-bold mb-6">Modify Stop Loss</h1>
+
+            <div className="mb-6">
+                <label className="block font-semibold mb-2">Open Position</label>
+                {!loading && positions.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No open {underlying.symbol} positions.</p>
+                ) : (
+                    <select
+                        value={positionId}
+                        onChange={(e) => {
+                            setPositionId(e.target.value)
+                            setStopLosses({})
+                        }}
+                        className="w-full border rounded p-2"
+                    >
+                        <option value="">{loading ? "Loading..." : "Select position"}</option>
+                        {positions.map((p) => (
+                            <option key={p.id} value={p.id}>
+                                {describePosition(p)}
+                            </option>
+                        ))}
+                    </select>
+                )}
+            </div>
+
+            {position && (
+                <div className="mb-4 space-y-3">
+                    {position.legs.map((leg, index) =>
+                        leg.remainingPct === 0 ? null : (
+                            <div key={index} className="border rounded p-3">
+                                <p className="font-medium mb-1">{describeLeg(leg)}</p>
+                                <p className="text-sm text-gray-500 mb-2">
+                                    {leg.stopLossHistory.length
+                                        ? `SL history: ${leg.stopLossHistory.map((h) => h.stopLoss).join(" → ")}`
+                                        : "No stop loss yet"}
+                                </p>
+                                <Input
+                                    label={`New Stop Loss (${leg.optionType})`}
+                                    value={stopLosses[index] ?? ""}
+                                    setValue={(val) => setStopLosses((prev) => ({ ...prev, [index]: val }))}
+                                    placeholder={leg.stopLoss === null ? "e.g. 120" : `now ${leg.stopLoss}`}
+                                />
+                            </div>
+                        )
+                    )}
+                    <button type="submit" className="w-full bg-blue-600 text-white py-2 rounded">
+                        Preview Message
+                    </button>
+                </div>
+            )}
+
+            {preview && (
+                <div className="mt-4">
+                    <PreviewCard
+                        preview={preview}
+                        onConfirm={() => {
+                            onSend(signal, preview.idempotencyKey)
+                            setPreview("")
+                        }}
+                        onCancel={() => setPreview("")}
+                    />
+                </div>
+            )}
+        </form>
     )
 }
 
 /* ----------------------
-   ExpiryTradesSection (unchanged)
+   PerformanceSection (realized P&L and the summary message)
    ---------------------- */
-function ExpiryTradesSection({ strikes, onSend }) {
-    const [marketView, setMarketView] = useState("BULLISH") // BULLISH or BEARISH
-    const [strike, setStrike] = useState(25900)
-    const [exitPrice, setExitPrice] = useState("")
-    const [template, setTemplate] = useState("book100")
+function PerformanceSection({ onPreview, onSend }) {
+    const [period, setPeriod] = useState("TODAY")
+    const { items: summary, loading } = useServerList(`/api/performance?period=${period.toLowerCase()}`, "summary")
     const [preview, setPreview] = useState("")
 
-    const expiryTemplates = [
-        {
-            id: "book100",
-            label: "Book 100% Profit",
-            text: "Modify stop loss and book 100% profit.",
-        },
-        {
-            id: "book50",
-            label:
-                "Book 50% Profit (Trailing stop loss for remaining 50%)",
-            text:
-                "Modify stop loss and book 50% profit and now keep trailing stop loss at cost for remaining 50% qty.",
-        },
-        {
-            id: "trailprofit",
-            label: "Trailing Stop Loss Triggered - Book Remaining Profit",
-            text:
-                "Trailing stop loss triggered. Modify stop loss and book profit for remaining 50% quantity.",
-        },
-        {
-            id: "trailclose",
-            label: "Trailing Stop Loss Triggered - Square Off",
-            text:
-                "Trailing stop loss triggered. Modify your stop loss and square off position.",
-        },
-        {
-            id: "stoploss",
-            label: "Stop Loss Triggered - Square Off",
-            text:
-                "Stop loss triggered. Modify your stop loss and square off position.",
-        },
-    ]
+    const signal = { type: "PERFORMANCE_SUMMARY", period }
+    const formatSigned = (n, digits = 2) => `${n > 0 ? "+" : ""}${n.toFixed(digits)}`
 
-    const buildMessage = () => {
-        if (!exitPrice) {
-            toast.error("Enter Exit Price")
-            return null
-        }
+    const handlePreview = async (e) => {
+        e.preventDefault()
+        const message = await onPreview(signal)
+        if (message) setPreview(message)
+    }
 
-        const selectedTemplate = expiryTemplates.find((t) => t.id === template)
-        if (!selectedTemplate) {
-            toast.error("Select message type")
-            return null
-        }
+    return (
+        <form onSubmit={handlePreview} className="bg-white rounded-2xl shadow p-8">
+            <h1 className="text-2xl font-bold mb-6">Performance</h1>
+
+            <div className="flex gap-6 mb-4">
+                {[
+                    { id: "TODAY", label: "Today" },
+                    { id: "WEEK", label: "This Week" },
+                ].map((p) => (
+                    <label key={p.id} className="flex items-center gap-2">
+                        <input
+                            type="radio"
+                            name="period"
+                            checked={period === p.id}
+                            onChange={() => {
+                                setPeriod(p.id)
+                                setPreview("")
+                            }}
+                            className="accent-blue-600"
+                        />
+                        <span>{p.label}</span>
+                    </label>
+                ))}
+            </div>
 
-        // Market View logic
-        const optionType = marketView === "BULLISH" ? "PE" : "CE"
+            {loading || !summary.trades ? (
+                <p className="text-gray-500 text-sm mb-4">Loading...</p>
+            ) : (
+                <div className="mb-4 space-y-3">
+                    <div className="grid grid-cols-4 gap-3 text-center">
+                        {[
+                            ["Taken", summary.taken],
+                            ["Closed", summary.closed],
+                            ["Winners", summary.winners],
+                            ["Losers", summary.losers],
+                        ].map(([label, value]) => (
+                            <div key={label} className="border rounded p-2">
+                                <p className="text-xs text-gray-500">{label}</p>
+                                <p className="text-lg font-semibold">{value}</p>
+                            </div>
+                        ))}
+                    </div>
+                    <p className="font-medium">
+                        Net {formatSigned(summary.netPoints)} pts · ₹{formatSigned(summary.netRupees)}
+                    </p>
+                    {summary.trades.length === 0 ? (
+                        <p className="text-gray-500 text-sm">No exits booked in this period.</p>
+                    ) : (
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-500">
+                                    <th className="py-1">Trade</th>
+                                    <th className="py-1 text-right">Points</th>
+                                    <th className="py-1 text-right">₹</th>
+                                    <th className="py-1 text-right">Return</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {summary.trades.map((trade) => (
+                                    <tr key={trade.id} className={trade.points < 0 ? "text-red-600" : "text-green-700"}>
+                                        <td className="py-1">{trade.label}</td>
+                                        <td className="py-1 text-right">{formatSigned(trade.points)}</td>
+                                        <td className="py-1 text-right">{formatSigned(trade.rupees)}</td>
+                                        <td className="py-1 text-right">{formatSigned(trade.returnPct, 1)}%</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
 
-        // Construct final message
-        const message = `SQUARE OFF\n${selectedTemplate.text} Buy ${strike} ${optionType} @ ${exitPrice}`
+            <button type="submit" className="w-full bg-blue-600 text-white py-2 rounded">
+                Preview Summary Message
+            </button>
+
+            {preview && (
+                <div className="mt-4">
+                    <PreviewCard
+                        preview={preview}
+                        onConfirm={() => {
+                            onSend(signal, preview.idempotencyKey)
+                            setPreview("")
+                        }}
+                        onCancel={() => setPreview("")}
+                    />
+                </div>
+            )}
+        </form>
+    )
+}
+
+/* ----------------------
+   IgnoreAlertSection
+   ---------------------- */
+function IgnoreAlertSection({ onPreview, onSend }) {
+    const { signals, loading: loadingSignals } = useRecentSignals()
+    const [refersTo, setRefersTo] = useState("")
+    const [preview, setPreview] = useState("")
+    const [signal, setSignal] = useState(null) // the signal as previewed
+
+    useEffect(() => {
+        const resetHandler = () => {
+            setRefersTo("")
+            setPreview("")
+            setSignal(null)
+        }
+        document.addEventListener("reset-forms", resetHandler)
+        return () => document.removeEventListener("reset-forms", resetHandler)
+    }, [])
+
+    // Ignore notices are threaded under the alert they cancel
+    const alerts = signals.filter((s) => s.type !== "IGNORE_ALERT" && s.status !== "RETRACTED")
+    const target = refersTo || alerts[0]?.id || ""
 
-        return message
+    const handlePreview = async (e) => {
+        e.preventDefault()
+        if (!target) return toast.error("Select the alert to ignore")
+        const nextSignal = { type: "IGNORE_ALERT", refersTo: target }
+        const message = await onPreview(nextSignal)
+        if (!message) return
+        setPreview(message)
+        setSignal(nextSignal)
     }
 
-    const handlePreview = (e) => {
+    return (
+        <form onSubmit={handlePreview} className="bg-white rounded-2xl shadow p-8">
+            <h1 className="text-2xl font-bold mb-6">Ignore Alert</h1>
+            <div className="mb-6">
+                <label className="block font-semibold mb-2">Alert to Ignore</label>
+                {!loadingSignals && alerts.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No published alerts yet.</p>
+                ) : (
+                    <select
+                        value={target}
+                        onChange={(e) => setRefersTo(e.target.value)}
+                        className="w-full border rounded p-2"
+                    >
+                        {loadingSignals && <option value="">Loading...</option>}
+                        {alerts.map((s) => (
+                            <option key={s.id} value={s.id}>
+                                {describeSignal(s)}
+                            </option>
+                        ))}
+                    </select>
+                )}
+                <p className="text-gray-600 text-sm mt-2">
+                    The notice is posted as a reply to this alert in every channel.
+                </p>
+            </div>
+            <button
+                type="submit"
+                disabled={!target}
+                className={`w-full py-2 rounded text-white ${!target ? "bg-gray-400" : "bg-blue-600 hover:bg-blue-700"}`}
+            >
+                Preview Message
+            </button>
+
+            {preview && (
+                <div className="mt-4">
+                    <PreviewCard
+                        preview={preview}
+                        onConfirm={() => {
+                            onSend(signal, preview.idempotencyKey)
+                            setPreview("")
+                        }}
+                        onCancel={() => setPreview("")}
+                    />
+                </div>
+            )}
+        </form>
+    )
+}
+
+/* ----------------------
+   ExpiryTradesSection (buys back a sold leg of an open position)
+   ---------------------- */
+function ExpiryTradesSection({ underlying, onPreview, onSend }) {
+    const { positions, loading } = useOpenPositions()
+    const [expiries] = useState(() => upcomingExpiries(underlying.expiry, { count: 8 }))
+    const [expiryFilter, setExpiryFilter] = useState(() => expiries[0]?.date ?? "")
+    const [legKey, setLegKey] = useState("") // `${positionId}:${legIndex}`
+    const [exitPrice, setExitPrice] = useState(null) // null: follow the market premium
+    const [template, setTemplate] = useState("book100")
+    const [quantityPct, setQuantityPct] = useState("")
+    const [preview, setPreview] = useState("")
+    const [signal, setSignal] = useState(null) // the signal as previewed
+
+    // Only sold legs that are still open can be bought back on expiry
+    const soldLegs = positions
+        .filter((p) => p.underlying === underlying.symbol && (!expiryFilter || p.expiry === expiryFilter))
+        .flatMap((position) =>
+            position.legs
+                .map((leg, legIndex) => ({ position, leg, legIndex, key: `${position.id}:${legIndex}` }))
+                .filter(({ leg }) => leg.side === "SELL" && leg.remainingPct > 0)
+        )
+    const selected = soldLegs.find((l) => l.key === legKey)
+    const chain = useOptionChain(selected?.position.underlying, selected?.position.expiry)
+    const quote = selected ? findQuote(chain, selected.leg.strike, selected.leg.optionType) : null
+    const exitValue = priceOrMarket(exitPrice, quote)
+
+    const actions = selected ? allowedActions([selected.leg]) : []
+    const selectedTemplate = actions.includes(template) ? template : actions[0] ?? ""
+
+    const buildSignal = () => ({
+        type: "EXPIRY_TRADE",
+        action: selectedTemplate,
+        quantityPct,
+        positionId: selected.position.id,
+        legs: [{ legIndex: selected.legIndex, exitPrice: exitValue }],
+    })
+
+    const handlePreview = async (e) => {
         e.preventDefault()
-        const msg = buildMessage()
-        if (msg) setPreview(msg)
+        if (!selected) return toast.error("Select the sold leg to square off")
+        // Prices following the market keep moving; confirm sends what was previewed
+        const nextSignal = buildSignal()
+        const msg = await onPreview(nextSignal)
+        if (!msg) return
+        setPreview(msg)
+        setSignal(nextSignal)
     }
 
     useEffect(() => {
         const resetHandler = () => {
-            setMarketView("BULLISH")
-            setStrike(25900)
-            setExitPrice("")
+            setExpiryFilter(expiries[0]?.date ?? "")
+            setLegKey("")
+            setExitPrice(null)
             setTemplate("book100")
+            setQuantityPct("")
             setPreview("")
+            setSignal(null)
         }
         document.addEventListener("reset-forms", resetHandler)
         return () => document.removeEventListener("reset-forms", resetHandler)
-    }, [])
+    }, [expiries])
 
     return (
         <form onSubmit={handlePreview} className="bg-white rounded-2xl shadow p-8">
             <h1 className="text-2xl font-bold mb-6">Expiry Day Trades</h1>
 
-            {/* Market View */}
-            <div className="mb-4">
-                <label className="block font-semibold mb-2">Market View</label>
-                <div className="flex gap-6">
-                    <label>
-                        <input
-                            type="radio"
-                            name="marketView"
-                            value="BULLISH"
-                            checked={marketView === "BULLISH"}
-                            onChange={() => setMarketView("BULLISH")}
-                            className="accent-blue-600"
-                        />{" "}
-                        Bullish (Buy PE)
-                    </label>
-                    <label>
-                        <input
-                            type="radio"
-                            name="marketView"
-                            value="BEARISH"
-                            checked={marketView === "BEARISH"}
-                            onChange={() => setMarketView("BEARISH")}
-                            className="accent-blue-600"
-                        />{" "}
-                        Bearish (Buy CE)
-                    </label>
-                </div>
-            </div>
-
-            {/* Strike Price */}
+            {/* Sold leg of an open position expiring on the selected day */}
+            <ExpirySelect
+                expiries={expiries}
+                value={expiryFilter}
+                onChange={(value) => {
+                    setExpiryFilter(value)
+                    setLegKey("")
+                }}
+                allowAll
+            />
             <div className="mb-4">
-                <label className="block font-semibold mb-2">Strike Price</label>
-                <select
-                    value={strike}
-                    onChange={(e) => setStrike(Number(e.target.value))}
-                    className="w-full border rounded p-2"
-                >
-                    {strikes.map((s) => (
-                        <option key={s} value={s}>
-                            {s}
-                        </option>
-                    ))}
-                </select>
+                <label className="block font-semibold mb-2">Open Sold Leg</label>
+                {!loading && soldLegs.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No open sold legs to square off{expiryFilter ? " for this expiry" : ""}.</p>
+                ) : (
+                    <select
+                        value={legKey}
+                        onChange={(e) => {
+                            setLegKey(e.target.value)
+                            setExitPrice(null)
+                        }}
+                        className="w-full border rounded p-2"
+                    >
+                        <option value="">{loading ? "Loading..." : "Select leg"}</option>
+                        {soldLegs.map(({ key, position, leg }) => (
+                            <option key={key} value={key}>
+                                {`${describeLeg(leg)} · ${position.underlying} ${formatExpiry(position.expiry) ?? ""} · ${describeLegState(leg)}`}
+                            </option>
+                        ))}
+                    </select>
+                )}
             </div>
 
             {/* Exit Price */}
             <div className="mb-4">
                 <label className="block font-semibold mb-2">
-                    Exit Price ({marketView === "BULLISH" ? "PE" : "CE"})
+                    Exit Price{selected ? ` (Buy ${selected.leg.optionType})` : ""}
                 </label>
                 <input
                     type="number"
-                    value={exitPrice}
+                    value={exitValue}
                     onChange={(e) => setExitPrice(e.target.value)}
                     className="w-full border rounded p-2"
                     placeholder="e.g. 120"
                 />
+                {quote && <PremiumHint quote={quote} price={exitValue} />}
             </div>
 
             {/* Message Type */}
-            <div className="mb-4">
-                <label className="block font-semibold mb-2">Message Type</label>
-                <select
-                    value={template}
-                    onChange={(e) => setTemplate(e.target.value)}
-                    className="w-full border rounded p-2"
-                >
-                    {expiryTemplates.map((t) => (
-                        <option key={t.id} value={t.id}>
-                            {t.label}
-                        </option>
-                    ))}
-                </select>
-            </div>
+            {selected && (
+                <ExitActionSelect
+                    label="Message Type"
+                    actions={actions}
+                    value={selectedTemplate}
+                    onChange={setTemplate}
+                    quantityPct={quantityPct}
+                    onQuantityPctChange={setQuantityPct}
+                />
+            )}
 
             {/* Preview */}
             <button
@@ -1005,9 +1591,9 @@ function ExpiryTradesSection({ strikes, onSend }) {
                     <PreviewCard
                         preview={preview}
                         onConfirm={() => {
-                            onSend(preview)
+                            onSend(signal, preview.idempotencyKey)
                             setPreview("")
-                            setExitPrice("")
+                            setExitPrice(null)
                         }}
                         onCancel={() => setPreview("")}
                     />
@@ -1015,4 +1601,348 @@ function ExpiryTradesSection({ strikes, onSend }) {
             )}
         </form>
     )
-}
\ No newline at end of file
+}
+
+// Drafts and signals from before messages were translated only hold the English text
+const variantsOf = (item) => item.variants ?? { [DEFAULT_LANGUAGE]: item.text }
+
+/* ----------------------
+   ApprovalsSection (review queue of drafts awaiting approval)
+   ---------------------- */
+const DRAFT_STYLES = {
+    PENDING: "bg-yellow-100 text-yellow-700",
+    PUBLISHING: "bg-blue-100 text-blue-700",
+    APPROVED: "bg-green-100 text-green-700",
+    REJECTED: "bg-red-100 text-red-700",
+}
+
+function ApprovalsSection({ canApprove, reviewer }) {
+    const [filter, setFilter] = useState("PENDING")
+    const { items: drafts, extra, loading } = useServerList(`/api/drafts${filter ? `?status=${filter}` : ""}`, "drafts")
+    const channels = extra.channels ?? []
+    const [comments, setComments] = useState({})
+    const [busy, setBusy] = useState(false)
+
+    const review = async (draft, decision) => {
+        if (busy) return
+        setBusy(true)
+        const pending = toast.loading(decision === "approve" ? "Publishing..." : "Rejecting...")
+        try {
+            const res = await fetch(`/api/drafts/${draft.id}/${decision}`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ comment: comments[draft.id] ?? "" }),
+            })
+            const data = await res.json()
+            toast.dismiss(pending)
+            reportSend(data)
+            if (res.ok) {
+                if (decision === "reject") toast.success("Draft rejected")
+                document.dispatchEvent(new CustomEvent("reset-forms"))
+            } else {
+                toast.error(`Failed: ${data?.error ?? "unknown"}`)
+            }
+        } catch (err) {
+            console.error(`Error on ${decision} draft:`, err)
+            toast.error("Unexpected error", { id: pending })
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    return (
+        <div className="bg-white rounded-2xl shadow p-8">
+            <h1 className="text-2xl font-bold mb-6">Approvals</h1>
+
+            <div className="flex gap-6 mb-4">
+                {[
+                    { id: "PENDING", label: "Pending" },
+                    { id: "", label: "All drafts" },
+                ].map((f) => (
+                    <label key={f.id} className="flex items-center gap-2">
+                        <input
+                            type="radio"
+                            name="draftFilter"
+                            checked={filter === f.id}
+                            onChange={() => setFilter(f.id)}
+                            className="accent-blue-600"
+                        />
+                        <span>{f.label}</span>
+                    </label>
+                ))}
+            </div>
+
+            {loading && <p className="text-gray-500">Loading...</p>}
+            {!loading && drafts.length === 0 && <p className="text-gray-500">Nothing waiting for approval.</p>}
+
+            <div className="space-y-4">
+                {drafts.map((draft) => {
+                    const reviewable = canApprove && draft.status === "PENDING" && draft.author !== reviewer
+                    return (
+                        <div key={draft.id} className="border rounded-lg p-4">
+                            <div className="flex justify-between text-sm text-gray-500 mb-2">
+                                <span>
+                                    {draft.type} · {draft.author}
+                                </span>
+                                <span>{new Date(draft.createdAt).toLocaleString()}</span>
+                            </div>
+                            <div className="grid md:grid-cols-3 gap-3">
+                                {LANGUAGES.filter((l) => variantsOf(draft)[l.id]).map((language) => {
+                                    const targets = channels.filter((c) => c.language === language.id)
+                                    // As in the publisher's preview; drafts saved before formats only hold the text
+                                    const layout = draft.layouts?.[language.id] ?? relayout(variantsOf(draft)[language.id])
+                                    return (
+                                        <div key={language.id}>
+                                            <p className="text-xs text-gray-500 mb-1">
+                                                {language.label}
+                                                {targets.length > 0 && ` · to ${targets.map(channelLabel).join(", ")}`}
+                                            </p>
+                                            <MessageView layout={layout} rich={targets.some((c) => c.format !== DEFAULT_FORMAT)} />
+                                        </div>
+                                    )
+                                })}
+                            </div>
+                            {draft.type === "FRESH_TRADE" && draft.payload?.payoffChart === true && (
+                                <div className="mt-3">
+                                    <p className="text-xs text-gray-500 mb-1">Payoff chart (sent with the message on Telegram)</p>
+                                    <Image
+                                        src={`/api/drafts/${draft.id}/chart`}
+                                        alt="Payoff at expiry"
+                                        width={800}
+                                        height={450}
+                                        unoptimized
+                                        className="w-full max-w-2xl h-auto border rounded"
+                                    />
+                                </div>
+                            )}
+
+                            <div className="flex flex-wrap gap-2 mt-3 text-xs">
+                                <span className={`px-2 py-1 rounded ${DRAFT_STYLES[draft.status]}`}>{draft.status}</span>
+                                {draft.review && (
+                                    <span className="px-2 py-1 rounded bg-gray-100">
+                                        {draft.review.by}
+                                        {draft.review.comment && `: ${draft.review.comment}`}
+                                    </span>
+                                )}
+                            </div>
+                            {draft.lastError && <p className="text-red-600 text-sm mt-2">{draft.lastError}</p>}
+
+                            {reviewable && (
+                                <div className="mt-3 space-y-2">
+                                    <input
+                                        type="text"
+                                        value={comments[draft.id] ?? ""}
+                                        onChange={(e) => setComments({ ...comments, [draft.id]: e.target.value })}
+                                        className="w-full border rounded p-2 text-sm"
+                                        placeholder="Comment (required to reject)"
+                                    />
+                                    <div className="flex gap-3">
+                                        <button
+                                            onClick={() => review(draft, "approve")}
+                                            disabled={busy}
+                                            className="bg-green-600 text-white px-3 py-1 rounded text-sm"
+                                        >
+                                            Approve & publish
+                                        </button>
+                                        <button
+                                            onClick={() => review(draft, "reject")}
+                                            disabled={busy}
+                                            className="bg-gray-200 px-3 py-1 rounded text-sm"
+                                        >
+                                            Reject
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    )
+                })}
+            </div>
+        </div>
+    )
+}
+
+/* ----------------------
+   HistorySection (edit or retract published messages)
+   ---------------------- */
+function HistorySection({ canCorrect }) {
+    const { signals, loading } = useRecentSignals()
+    const [editingId, setEditingId] = useState(null)
+    const [editLanguage, setEditLanguage] = useState(DEFAULT_LANGUAGE)
+    const [draft, setDraft] = useState("")
+    const [retractingId, setRetractingId] = useState(null)
+    const [note, setNote] = useState("")
+    const [busy, setBusy] = useState(false)
+
+    const startEdit = (signal) => {
+        setRetractingId(null)
+        setEditingId(signal.id)
+        setEditLanguage(DEFAULT_LANGUAGE)
+        setDraft(signal.text)
+    }
+
+    // Each language is edited separately and only reaches the channels in that language
+    const switchEditLanguage = (signal, language) => {
+        setEditLanguage(language)
+        setDraft(variantsOf(signal)[language])
+    }
+
+    const startRetract = (signal) => {
+        setEditingId(null)
+        setRetractingId(signal.id)
+        setNote("")
+    }
+
+    // Applies a correction and reports the outcome per channel
+    const submit = async (url, method, body) => {
+        if (busy) return
+        setBusy(true)
+        const pending = toast.loading("Updating...")
+        try {
+            const res = await fetch(url, {
+                method,
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(body),
+            })
+            const data = await res.json()
+            toast.dismiss(pending)
+            for (const result of data?.results ?? []) {
+                if (result.ok) toast.success(`Updated in ${result.channelId}${result.mode ? ` (${result.mode})` : ""}`)
+                else toast.error(`${result.channelId} failed: ${result.error ?? "unknown"}`)
+            }
+            if (res.ok) {
+                setEditingId(null)
+                setRetractingId(null)
+                document.dispatchEvent(new CustomEvent("reset-forms"))
+            } else {
+                toast.error(`Failed: ${data?.error ?? "unknown"}`)
+            }
+        } catch (err) {
+            console.error("Error correcting signal:", err)
+            toast.error("Unexpected error", { id: pending })
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    return (
+        <div className="bg-white rounded-2xl shadow p-8">
+            <h1 className="text-2xl font-bold mb-6">Recent Messages</h1>
+            {loading && <p className="text-gray-500">Loading...</p>}
+            {!loading && signals.length === 0 && <p className="text-gray-500">Nothing published yet.</p>}
+
+            <div className="space-y-4">
+                {signals.map((signal) => {
+                    const retracted = signal.status === "RETRACTED"
+                    return (
+                        <div key={signal.id} className={`border rounded p-4 ${retracted ? "opacity-60" : ""}`}>
+                            <div className="flex justify-between text-sm text-gray-500 mb-2">
+                                <span>
+                                    {signal.type.replaceAll("_", " ")} · {signal.sender}
+                                </span>
+                                <span>{new Date(signal.createdAt).toLocaleString("en-GB")}</span>
+                            </div>
+
+                            {editingId === signal.id ? (
+                                <>
+                                    <select
+                                        value={editLanguage}
+                                        onChange={(e) => switchEditLanguage(signal, e.target.value)}
+                                        className="border rounded p-1 mb-2 text-sm"
+                                    >
+                                        {LANGUAGES.filter((l) => variantsOf(signal)[l.id]).map((l) => (
+                                            <option key={l.id} value={l.id}>
+                                                {l.label}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <textarea
+                                        value={draft}
+                                        onChange={(e) => setDraft(e.target.value)}
+                                        rows={6}
+                                        className="w-full border rounded p-2 text-sm font-mono"
+                                    />
+                                </>
+                            ) : (
+                                <pre className={`whitespace-pre-wrap bg-gray-50 p-3 rounded text-sm ${retracted ? "line-through" : ""}`}>
+                                    {signal.text}
+                                </pre>
+                            )}
+
+                            <div className="flex flex-wrap gap-2 mt-2 text-xs">
+                                {(signal.deliveries ?? []).map((d) => (
+                                    <span
+                                        key={d.channelId}
+                                        className={`px-2 py-1 rounded ${d.ok ? "bg-green-100 text-green-700" : "bg-red-100 text-red-700"}`}
+                                    >
+                                        {d.channelId}
+                                    </span>
+                                ))}
+                                {signal.automation && (
+                                    <span className="px-2 py-1 rounded bg-blue-100 text-blue-700">
+                                        automation {signal.automation.requestId.slice(0, 8)}
+                                    </span>
+                                )}
+                                {retracted && <span className="px-2 py-1 rounded bg-gray-200">Retracted</span>}
+                                {(signal.revisions ?? []).some((r) => r.action === "EDIT") && (
+                                    <span className="px-2 py-1 rounded bg-yellow-100 text-yellow-700">Edited</span>
+                                )}
+                            </div>
+
+                            {retractingId === signal.id && (
+                                <input
+                                    type="text"
+                                    value={note}
+                                    onChange={(e) => setNote(e.target.value)}
+                                    className="w-full border rounded p-2 mt-3 text-sm"
+                                    placeholder="Correction note (default: Kindly ignore the alert, in each channel's language)"
+                                />
+                            )}
+
+                            {!retracted && canCorrect && (
+                                <div className="flex gap-3 mt-3">
+                                    {editingId === signal.id ? (
+                                        <>
+                                            <button
+                                                onClick={() => submit(`/api/signals/${signal.id}`, "PATCH", { text: draft, language: editLanguage })}
+                                                disabled={busy}
+                                                className="bg-green-600 text-white px-3 py-1 rounded text-sm"
+                                            >
+                                                Save Edit
+                                            </button>
+                                            <button onClick={() => setEditingId(null)} className="bg-gray-200 px-3 py-1 rounded text-sm">
+                                                Cancel
+                                            </button>
+                                        </>
+                                    ) : retractingId === signal.id ? (
+                                        <>
+                                            <button
+                                                onClick={() => submit(`/api/signals/${signal.id}/retract`, "POST", { note })}
+                                                disabled={busy}
+                                                className="bg-red-600 text-white px-3 py-1 rounded text-sm"
+                                            >
+                                                Confirm Retract
+                                            </button>
+                                            <button onClick={() => setRetractingId(null)} className="bg-gray-200 px-3 py-1 rounded text-sm">
+                                                Cancel
+                                            </button>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <button onClick={() => startEdit(signal)} className="bg-blue-600 text-white px-3 py-1 rounded text-sm">
+                                                Edit
+                                            </button>
+                                            <button onClick={() => startRetract(signal)} className="bg-gray-200 px-3 py-1 rounded text-sm">
+                                                Retract
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    )
+                })}
+            </div>
+        </div>
+    )
+}
@@ -0,0 +1,143 @@
+import { todayInExchange } from "./calendar"
+import { toCsv } from "./csv"
+import { readSignals } from "./ledger"
+import { positionPnl } from "./pnl"
+import { buildPositions } from "./positions"
+import { getStrategy } from "./strategies"
+import { getUnderlying } from "./underlyings"
+
+/**
+ * Performance analytics over closed trades.
+ *
+ * One row per closed position, with its realized P&L (lib/pnl.js) and the
+ * R-multiple: rupee P&L over the rupee risk at entry (entry to initial stop
+ * loss, one lot per leg). Trades with a leg published without a stop loss
+ * have no R-multiple. Rows are dated by the exchange (IST) date they closed;
+ * the weekday and expiry-day split use the date they were opened.
+ */
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"]
+
+const round2 = (n) => Math.round(n * 100) / 100
+const exchangeDate = (at) => todayInExchange(Date.parse(at))
+const weekdayName = (iso) => WEEKDAYS[new Date(`${iso}T00:00:00Z`).getUTCDay()]
+
+function initialRisk(position) {
+    const lotSize = getUnderlying(position.underlying)?.lotSize ?? 1
+    let risk = 0
+    for (const leg of position.legs) {
+        const stopLoss = leg.stopLossHistory?.[0]?.stopLoss
+        if (stopLoss === undefined) return null
+        const entry = (leg.entryLow + (leg.entryHigh ?? leg.entryLow)) / 2
+        risk += Math.abs(entry - stopLoss) * lotSize
+    }
+    return risk || null
+}
+
+export function tradeRow(position) {
+    const pnl = positionPnl(position)
+    const openedOn = exchangeDate(position.openedAt)
+    const risk = initialRisk(position)
+    return {
+        id: position.id,
+        openedOn,
+        closedOn: exchangeDate(position.closedAt),
+        underlying: position.underlying,
+        expiry: position.expiry,
+        strategy: getStrategy(position.strategy)?.label ?? (position.legs.length > 1 ? "Custom legs" : "Single leg"),
+        legs: pnl.label,
+        weekday: weekdayName(openedOn),
+        expiryDay: openedOn === position.expiry,
+        closedReason: position.closedReason,
+        points: pnl.points,
+        rupees: pnl.rupees,
+        returnPct: pnl.returnPct,
+        rMultiple: risk ? round2(pnl.rupees / risk) : null,
+    }
+}
+
+/**
+ * Closed trades from the ledger, oldest close first, optionally limited to
+ * closes between `from` and `to` (inclusive "YYYY-MM-DD").
+ */
+export async function listTradeRows({ from, to } = {}) {
+    const positions = [...buildPositions(await readSignals()).values()]
+    return positions
+        .filter((p) => p.status === "CLOSED")
+        .sort((a, b) => a.closedAt.localeCompare(b.closedAt))
+        .map(tradeRow)
+        .filter((row) => (!from || row.closedOn >= from) && (!to || row.closedOn <= to))
+}
+
+function group(rows, keyOf) {
+    const groups = new Map()
+    for (const row of rows) {
+        const key = keyOf(row)
+        if (!groups.has(key)) groups.set(key, [])
+        groups.get(key).push(row)
+    }
+    return [...groups].map(([key, items]) => ({ key, ...headline(items) }))
+}
+
+function headline(rows) {
+    const wins = rows.filter((r) => r.points > 0).length
+    const withR = rows.filter((r) => r.rMultiple !== null)
+    return {
+        trades: rows.length,
+        wins,
+        losses: rows.filter((r) => r.points < 0).length,
+        winRate: rows.length ? round2((wins / rows.length) * 100) : 0,
+        avgR: withR.length ? round2(withR.reduce((sum, r) => sum + r.rMultiple, 0) / withR.length) : null,
+        netPoints: round2(rows.reduce((sum, r) => sum + r.points, 0)),
+        netRupees: round2(rows.reduce((sum, r) => sum + r.rupees, 0)),
+    }
+}
+
+/**
+ * Headline figures, equity curve (cumulative rupees per closed trade),
+ * maximum drawdown from a previous equity peak and breakdowns.
+ */
+export function analyze(rows) {
+    let equity = 0
+    let peak = 0
+    let maxDrawdown = 0
+    const curve = rows.map((row) => {
+        equity += row.rupees
+        peak = Math.max(peak, equity)
+        maxDrawdown = Math.max(maxDrawdown, peak - equity)
+        return { date: row.closedOn, id: row.id, equity: round2(equity) }
+    })
+
+    return {
+        ...headline(rows),
+        maxDrawdown: round2(maxDrawdown),
+        equity: curve,
+        breakdowns: {
+            underlying: group(rows, (r) => r.underlying),
+            strategy: group(rows, (r) => r.strategy),
+            weekday: group(rows, (r) => r.weekday).sort((a, b) => WEEKDAYS.indexOf(a.key) - WEEKDAYS.indexOf(b.key)),
+            expiryDay: group(rows, (r) => (r.expiryDay ? "Expiry day" : "Other days")),
+        },
+    }
+}
+
+const CSV_COLUMNS = [
+    "id",
+    "openedOn",
+    "closedOn",
+    "underlying",
+    "expiry",
+    "strategy",
+    "legs",
+    "weekday",
+    "expiryDay",
+    "closedReason",
+    "points",
+    "rupees",
+    "returnPct",
+    "rMultiple",
+]
+
+export function tradesCsv(rows) {
+    return toCsv(rows, CSV_COLUMNS)
+}
@@ -0,0 +1,126 @@
+import { randomUUID } from "crypto"
+import { todayInExchange } from "./calendar"
+import { loadChannels } from "./channels"
+import { toCsv } from "./csv"
+import { readCollection, updateCollection } from "./store"
+
+/**
+ * Append-only audit log of every attempt to publish, submit for approval or
+ * correct a signal, whether or not it went out.
+ *
+ * Entry shape:
+ * {
+ *   id, at, action,        // "PUBLISH" | "SUBMIT" (a draft for approval) | "EDIT" | "RETRACT"
+ *   user, payload, text,   // who sent what, and the rendered message
+ *   approvedBy,            // the reviewer who released it, for approved drafts
+ *   channels,              // channel ids the attempt targeted
+ *   automation,            // { ok, status, requestId, acknowledgement, error } when it was called (lib/automation.js)
+ *   deliveries,            // per-channel { channelId, type, ok, messageId, error }
+ *   outcome, error, signalId, draftId
+ * }
+ *
+ * `outcome` weighs the channels and the automation together: SENT (every
+ * channel, and the orders when there were any), PARTIAL (some of it, e.g.
+ * orders placed but no channel reached), FAILED (nothing went out, or there
+ * was no channel to send to), REJECTED (refused before anything was sent) or
+ * QUEUED (a draft saved for approval).
+ * Entries are never changed or removed.
+ */
+
+const COLLECTION = "audit"
+
+export const OUTCOMES = ["SENT", "PARTIAL", "FAILED", "REJECTED", "QUEUED"]
+
+function outcomeOf({ action, error, status, automation, deliveries }) {
+    const sent = deliveries.filter((d) => d.ok).length
+    // Orders the automation took are out even when no message is
+    const ordered = automation?.ok === true
+    if (sent === 0 && !ordered) {
+        if (!error && action === "SUBMIT") return "QUEUED"
+        return error && status >= 400 && status < 500 ? "REJECTED" : "FAILED"
+    }
+    const everywhere = sent > 0 && sent === deliveries.length && (!automation || ordered)
+    return everywhere && !error ? "SENT" : "PARTIAL"
+}
+
+function configuredChannels() {
+    try {
+        return loadChannels().map((c) => c.id)
+    } catch {
+        return []
+    }
+}
+
+/**
+ * Appends an entry for one attempt. The audit log never turns an attempt
+ * into a failure: storage errors are logged and swallowed.
+ */
+export async function recordAttempt({ action, user, approvedBy, payload, result = {}, error, status }) {
+    const deliveries = result.deliveries ?? result.results ?? []
+    const entry = {
+        id: randomUUID(),
+        at: new Date().toISOString(),
+        action,
+        user,
+        approvedBy: approvedBy ?? null,
+        payload,
+        text: result.text ?? result.record?.text ?? result.draft?.text ?? null,
+        channels: ["PUBLISH", "SUBMIT"].includes(action) ? configuredChannels() : deliveries.map((d) => d.channelId),
+        automation: result.automation ?? null,
+        deliveries,
+        error: error ?? result.error ?? null,
+        signalId: result.record?.id ?? null,
+        draftId: result.draft?.id ?? null,
+    }
+    entry.outcome = outcomeOf({ action, error: entry.error, status: status ?? result.status, automation: entry.automation, deliveries })
+
+    try {
+        await updateCollection(COLLECTION, (entries) => {
+            entries.push(entry)
+        })
+    } catch (err) {
+        console.error("Failed to record audit entry:", err)
+    }
+    return entry
+}
+
+/**
+ * Runs an attempt and records it, including attempts that throw.
+ */
+export async function audited(attempt, run) {
+    try {
+        const result = await run()
+        await recordAttempt({ ...attempt, result })
+        return result
+    } catch (err) {
+        await recordAttempt({ ...attempt, error: err.message, status: 500 })
+        throw err
+    }
+}
+
+/**
+ * Newest entries first, filtered by user (substring), outcome and the
+ * exchange (IST) date range [from, to].
+ */
+export async function listAttempts({ user, outcome, from, to, limit = 500 } = {}) {
+    const needle = user?.trim().toLowerCase()
+    // Appended in order, so newest first is the reverse
+    const entries = (await readCollection(COLLECTION)).reverse()
+    return entries
+        .filter((e) => {
+            const date = todayInExchange(Date.parse(e.at))
+            return (
+                (!needle || e.user?.toLowerCase().includes(needle)) &&
+                (!outcome || e.outcome === outcome) &&
+                (!from || date >= from) &&
+                (!to || date <= to)
+            )
+        })
+        .slice(0, limit)
+}
+
+const CSV_COLUMNS = ["at", "action", "user", "approvedBy", "outcome", "error", "channels", "text", "payload", "automation", "deliveries", "signalId"]
+
+export function attemptsCsv(entries) {
+    return toCsv(entries, CSV_COLUMNS)
+}
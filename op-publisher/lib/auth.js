@@ -0,0 +1,22 @@
+import { getServerSession } from "next-auth"
+import { authOptions } from "@/app/api/auth/[...nextauth]/route"
+import { can } from "./roles"
+
+/**
+ * Resolves the signed-in user for an API route.
+ * Returns `{ session }` when the user's role grants `permission` (see
+ * lib/roles.js), otherwise `{ response }` holding the 401/403 to send back.
+ */
+export async function authorizeRequest(permission) {
+    const session = await getServerSession(authOptions)
+
+    if (!session || !session.user?.email) {
+        return { response: Response.json({ error: "Unauthorized" }, { status: 401 }) }
+    }
+
+    if (!can(session.user.role, permission)) {
+        return { response: Response.json({ error: "Access denied" }, { status: 403 }) }
+    }
+
+    return { session }
+}
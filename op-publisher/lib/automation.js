@@ -0,0 +1,153 @@
+import { createHmac, randomUUID } from "crypto"
+import { errorMessage, neverSent } from "./network"
+import { ORDER_TYPES } from "./signals"
+import { getUnderlying } from "./underlyings"
+
+/**
+ * Broker automation webhook.
+ *
+ * Order-bearing signals (Fresh Trade, Square Off, Expiry Trade, Modify SL)
+ * are posted as structured orders to the automation server before any
+ * channel gets the message; a refused or failed call stops the publish so
+ * subscribers never see a call the automation did not take.
+ *
+ * Configured per environment (.env.local, the hosting provider's settings):
+ *   AUTOMATION_ENABLED=true            anything else leaves it off
+ *   AUTOMATION_URL=https://...         the receiver
+ *   AUTOMATION_SECRET=...              shared HMAC key
+ *   AUTOMATION_LOTS=1                  lots per leg (default 1)
+ *   AUTOMATION_TIMEOUT_MS=10000
+ *
+ * Every request is signed: `X-Automation-Timestamp` is the Unix time in
+ * seconds and `X-Automation-Signature` is
+ *   sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the secret>
+ * Receivers reject timestamps more than five minutes away from their clock
+ * and request ids whose orders they already took, so a captured request
+ * cannot be replayed. scripts/automation-mock.mjs is such a receiver for
+ * local testing.
+ *
+ * The request id is stable per call (from the publish request's idempotency
+ * key or the draft being approved), so sending the same call again cannot
+ * place its orders twice. When the server may have taken the orders without
+ * answering (a timeout, a dropped connection) the result is `unknown`: the
+ * publisher has to check the automation before sending the call again.
+ *
+ * The receiver answers 2xx with a JSON acknowledgement, e.g.
+ *   { "accepted": true, "orders": [{ "legIndex": 0, "orderId": "..." }] }
+ * and anything else (or `accepted: false`) when it does not take the orders.
+ */
+
+const INTENTS = { FRESH_TRADE: "ENTRY", SQUARE_OFF: "EXIT", EXPIRY_TRADE: "EXIT", MODIFY_SL: "MODIFY_SL" }
+
+/**
+ * The automation settings, or null when it is switched off.
+ */
+export function automationConfig() {
+    if (process.env.AUTOMATION_ENABLED !== "true") return null
+    return {
+        url: process.env.AUTOMATION_URL,
+        secret: process.env.AUTOMATION_SECRET,
+        lots: Number(process.env.AUTOMATION_LOTS || 1),
+        timeoutMs: Number(process.env.AUTOMATION_TIMEOUT_MS || 10000),
+    }
+}
+
+// Entries are limit orders within the entry range; exits are at the exit price
+function priceBand(signal, leg) {
+    if (signal.type === "FRESH_TRADE") return { low: leg.entryLow, high: leg.entryHigh }
+    if (leg.exitPrice !== undefined) return { low: leg.exitPrice, high: leg.exitPrice }
+    return null
+}
+
+// `pct` is the share of the position's original quantity the order covers;
+// stop-loss changes apply to whatever is still open, so they have none
+function orderOf(signal, leg, index, lots) {
+    const underlying = getUnderlying(signal.underlying)
+    return {
+        legIndex: leg.legIndex ?? index,
+        intent: INTENTS[signal.type],
+        instrument: signal.underlying,
+        exchange: underlying?.exchange ?? null,
+        side: leg.side,
+        strike: leg.strike,
+        optionType: leg.optionType,
+        expiry: signal.expiry,
+        priceBand: priceBand(signal, leg),
+        stopLoss: leg.stopLoss ?? null,
+        previousStopLoss: leg.previousStopLoss ?? null,
+        targets: leg.targets ?? [],
+        quantity: { lots, lotSize: underlying?.lotSize ?? null, pct: signal.type === "MODIFY_SL" ? null : (leg.quantityPct ?? 100) },
+    }
+}
+
+/**
+ * The structured order payload of a prepared signal (see lib/publish.js),
+ * or null for signals that carry no orders. `requestId` defaults to a new id.
+ */
+export function orderPayload(signal, { lots = 1, requestId } = {}) {
+    if (!ORDER_TYPES.includes(signal.type)) return null
+    return {
+        id: requestId ?? randomUUID(),
+        sentAt: new Date().toISOString(),
+        type: signal.type,
+        action: signal.action ?? null,
+        positionId: signal.positionId ?? null,
+        orders: signal.legs.map((leg, i) => orderOf(signal, leg, i, lots)),
+    }
+}
+
+/**
+ * Signature headers for a raw request body.
+ */
+export function signRequest(body, secret, now = Date.now()) {
+    const timestamp = String(Math.floor(now / 1000))
+    const digest = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+    return { "X-Automation-Timestamp": timestamp, "X-Automation-Signature": `sha256=${digest}` }
+}
+
+const parseJson = (text) => {
+    try {
+        return JSON.parse(text)
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Posts the orders of a signal to the automation server.
+ * Resolves with null when automation is off or the signal carries no orders,
+ * otherwise with `{ ok, status, requestId, acknowledgement, error, unknown? }`;
+ * never rejects. `unknown` is set when the orders may have been taken anyway.
+ */
+export async function sendToAutomation(signal, { requestId } = {}, config = automationConfig()) {
+    if (!config) return null
+    const payload = orderPayload(signal, { lots: config.lots, requestId })
+    if (!payload) return null
+
+    const base = { requestId: payload.id, status: null, acknowledgement: null }
+    if (!config.url || !config.secret) {
+        return { ...base, ok: false, error: "AUTOMATION_URL and AUTOMATION_SECRET must be set when automation is enabled" }
+    }
+
+    const body = JSON.stringify(payload)
+    try {
+        const res = await fetch(config.url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...signRequest(body, config.secret) },
+            body,
+            signal: AbortSignal.timeout(config.timeoutMs),
+        })
+        const acknowledgement = parseJson(await res.text())
+        const ok = res.ok && acknowledgement?.accepted !== false
+        return {
+            ...base,
+            ok,
+            status: res.status,
+            acknowledgement,
+            error: ok ? null : (acknowledgement?.error ?? `Automation answered HTTP ${res.status}`),
+        }
+    } catch (err) {
+        if (neverSent(err)) return { ...base, ok: false, error: `Could not reach the automation server: ${errorMessage(err)}` }
+        return { ...base, ok: false, unknown: true, error: `No answer from the automation server: ${errorMessage(err)}` }
+    }
+}
@@ -0,0 +1,127 @@
+import holidayData from "@/config/market-holidays.json"
+
+/**
+ * Exchange trading calendar and option expiry engine.
+ *
+ * Dates are plain "YYYY-MM-DD" strings in exchange time (IST) and all
+ * arithmetic is done in UTC, so results do not depend on the timezone of
+ * the server or the browser. Holidays come from config/market-holidays.json;
+ * add next year's list there (and its year to `coveredYears`).
+ *
+ * An expiry rule is `{ weekday, weekly }` (see `expiry` in lib/underlyings.js):
+ * the weekday (0 = Sunday) contracts expire on and whether weekly contracts exist. Monthly contracts expire on
+ * the last such weekday of the month. An expiry that falls on a holiday moves
+ * to the previous trading day.
+ */
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const HOLIDAYS = new Map(holidayData.holidays.map((h) => [h.date, h.name]))
+
+const toDate = (iso) => new Date(`${iso}T00:00:00Z`)
+const toIso = (date) => date.toISOString().slice(0, 10)
+const addDays = (iso, days) => toIso(new Date(toDate(iso).getTime() + days * DAY_MS))
+const weekdayOf = (iso) => toDate(iso).getUTCDay()
+
+export function todayInExchange(now = Date.now()) {
+    return toIso(new Date(now + IST_OFFSET_MS))
+}
+
+/**
+ * Monday of the week `iso` falls in.
+ */
+export function weekStart(iso) {
+    return addDays(iso, -((weekdayOf(iso) + 6) % 7))
+}
+
+export function holidayName(iso) {
+    return HOLIDAYS.get(iso) ?? null
+}
+
+export function isTradingDay(iso) {
+    const day = weekdayOf(iso)
+    return day !== 0 && day !== 6 && !HOLIDAYS.has(iso)
+}
+
+export function previousTradingDay(iso) {
+    let day = iso
+    while (!isTradingDay(day)) day = addDays(day, -1)
+    return day
+}
+
+/**
+ * True when the holiday file has no list for that year, in which case
+ * expiries for it may be wrong and the UI should say so.
+ */
+export function isHolidayDataMissing(year) {
+    return !holidayData.coveredYears.includes(Number(year))
+}
+
+function lastWeekdayOfMonth(year, month, weekday) {
+    const lastDay = toIso(new Date(Date.UTC(year, month, 0)))
+    return addDays(lastDay, -((weekdayOf(lastDay) - weekday + 7) % 7))
+}
+
+/**
+ * Last `weekday` of the month (month is 1-12), moved back over holidays.
+ */
+export function monthlyExpiry(year, month, weekday) {
+    return previousTradingDay(lastWeekdayOfMonth(year, month, weekday))
+}
+
+/**
+ * Upcoming expiries for a rule, soonest first:
+ * [{ date: "2026-10-27", label: "27 Oct", kind: "WEEKLY" | "MONTHLY", shiftedFrom }]
+ * `shiftedFrom` is the scheduled date when a holiday moved the expiry.
+ */
+export function upcomingExpiries(rule, { from = todayInExchange(), count = 6 } = {}) {
+    const expiries = []
+    const fromDate = toDate(from)
+    let year = fromDate.getUTCFullYear()
+    let month = fromDate.getUTCMonth() + 1
+
+    while (expiries.length < count) {
+        const monthly = monthlyExpiry(year, month, rule.weekday)
+        const scheduled = []
+        if (rule.weekly) {
+            const first = toIso(new Date(Date.UTC(year, month - 1, 1)))
+            let day = addDays(first, (rule.weekday - weekdayOf(first) + 7) % 7)
+            while (toDate(day).getUTCMonth() + 1 === month) {
+                scheduled.push(day)
+                day = addDays(day, 7)
+            }
+        } else {
+            scheduled.push(lastWeekdayOfMonth(year, month, rule.weekday))
+        }
+
+        for (const day of scheduled) {
+            const date = previousTradingDay(day)
+            if (date < from || expiries.length >= count) continue
+            expiries.push({
+                date,
+                label: formatExpiry(date),
+                kind: date === monthly ? "MONTHLY" : "WEEKLY",
+                shiftedFrom: date === day ? null : day,
+            })
+        }
+
+        month += 1
+        if (month > 12) {
+            month = 1
+            year += 1
+        }
+    }
+    return expiries
+}
+
+/**
+ * "2026-10-27" -> "27 Oct", the format used in published messages.
+ * Anything that is not an ISO date is returned unchanged.
+ */
+export function formatExpiry(iso) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(iso ?? "")) return iso
+    return toDate(iso)
+        .toLocaleDateString("en-GB", { day: "2-digit", month: "short", timeZone: "UTC" })
+        .replace(".", "")
+}
@@ -0,0 +1,31 @@
+/**
+ * Option chain helpers shared by the signal forms (safe to import from
+ * client code). The chain itself comes from /api/option-chain.
+ */
+
+// Entered prices further than this from the market premium are flagged
+export const PRICE_WARNING_PCT = 15
+
+/**
+ * { ltp, bid, ask, oi, oiChange } of a contract, or null when the chain has
+ * no quote for it.
+ */
+export function findQuote(chain, strike, optionType) {
+    const row = chain?.strikes?.find((r) => r.strike === Number(strike))
+    const quote = row?.[optionType]
+    return quote && quote.ltp ? quote : null
+}
+
+/**
+ * Warning text when `price` is more than PRICE_WARNING_PCT away from the
+ * last traded premium, otherwise null.
+ */
+export function priceWarning(price, quote) {
+    const entered = Number(price)
+    if (!quote || price === "" || !isFinite(entered) || entered <= 0) return null
+
+    const deviation = ((entered - quote.ltp) / quote.ltp) * 100
+    if (Math.abs(deviation) <= PRICE_WARNING_PCT) return null
+    const direction = deviation > 0 ? "above" : "below"
+    return `${entered} is ${Math.abs(deviation).toFixed(0)}% ${direction} the market premium ${quote.ltp}`
+}
@@ -0,0 +1,51 @@
+/**
+ * Discord incoming-webhook channel.
+ * Config: { type: "discord", webhookUrl, username? }
+ * `wait=true` makes Discord return the created message so its id can be kept.
+ * Webhook messages cannot be posted as replies, so follow-ups are plain messages.
+ */
+
+// Rate limits (429) say how long to wait in `retry_after` (seconds)
+async function parseError(res) {
+    const data = await res.json().catch(() => ({}))
+    return {
+        ok: false,
+        error: data.message || `Discord responded with status ${res.status}`,
+        retryable: res.status === 429 || res.status >= 500,
+        // A 5xx may come after the request was acted on
+        unknown: res.status >= 500,
+        retryAfter: data.retry_after,
+    }
+}
+
+export async function send(channel, { text }) {
+    const url = new URL(channel.webhookUrl)
+    url.searchParams.set("wait", "true")
+
+    const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+            content: text,
+            username: channel.username,
+        }),
+    })
+
+    if (!res.ok) return parseError(res)
+    const data = await res.json().catch(() => ({}))
+    return { ok: true, messageId: data.id ?? null }
+}
+
+export async function edit(channel, { messageId, text }) {
+    const res = await fetch(`${channel.webhookUrl}/messages/${messageId}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ content: text }),
+    })
+    return res.ok ? { ok: true } : parseError(res)
+}
+
+export async function retract(channel, { messageId }) {
+    const res = await fetch(`${channel.webhookUrl}/messages/${messageId}`, { method: "DELETE" })
+    return res.ok ? { ok: true, mode: "deleted" } : parseError(res)
+}
@@ -0,0 +1,167 @@
+import { DEFAULT_FORMAT, FORMATS, formatLayout } from "../formatting"
+import { errorMessage, neverSent } from "../network"
+import { DEFAULT_LANGUAGE, getLanguage } from "../templates"
+import * as discord from "./discord"
+import * as sink from "./sink"
+import * as telegram from "./telegram"
+import * as webhook from "./webhook"
+
+/**
+ * Channel adapters a signal is fanned out to.
+ *
+ * Channels are configured with PUBLISH_CHANNELS, a JSON array such as
+ *   [{ "id": "main", "type": "telegram", "chatId": "-100123" },
+ *    { "id": "main-hi", "type": "telegram", "chatId": "-100456", "language": "hi", "format": "markdownv2" },
+ *    { "id": "discord", "type": "discord", "webhookUrl": "https://discord.com/api/webhooks/..." },
+ *    { "id": "crm", "type": "webhook", "url": "https://crm.example.com/hooks/signals" },
+ *    { "id": "outbox", "type": "file" }]
+ * Without it, the single TELEGRAM_CHAT_ID channel is used as before.
+ * `language` (en, hi or mr; see lib/templates.js) picks the variant of the
+ * message the channel receives and defaults to English.
+ * `format` (plain, markdownv2 or html; see lib/formatting.js) is how the
+ * message is marked up and defaults to plain text. Discord only takes plain.
+ *
+ * Every adapter exports `send(channel, { text, format, photo, signal, replyToMessageId })`
+ * resolving with `{ ok, messageId }` or `{ ok: false, error, retryable?, retryAfter?, unknown? }`.
+ * `photo` is a PNG (the payoff chart) to post with the text; adapters that
+ * post it report `photoMessageId`, or `photoError` when only the text went out.
+ * Retryable failures (rate limits, 5xx, network errors) are tried again,
+ * waiting `retryAfter` seconds when the service says so (Telegram's
+ * `retry_after`) and backing off exponentially otherwise. A send is only
+ * repeated for a rate limit or a request that never reached the service:
+ * after a 5xx (`unknown`), a timeout or a dropped connection the message may
+ * already be posted, so the delivery fails with `unknown: true` instead.
+ * `replyToMessageId` is the id this channel returned for the message being
+ * followed up, when there is one.
+ * Adapters also export `edit(channel, { messageId, text, format })` and
+ * `retract(channel, { messageId, photoMessageId, text, layout, format, note })`
+ * for corrections, in the format the message was published in; `text` is
+ * formatted for an edit and plain for a retraction, whose `layout` lets the
+ * adapter strike through the formatted message. A retraction also removes
+ * the photo.
+ * Adapters only ever see the text in their channel's language.
+ */
+
+const ADAPTERS = {
+    telegram,
+    discord,
+    webhook,
+    console: sink,
+    file: sink,
+}
+
+// Discord has its own markdown, which neither Telegram format matches
+const PLAIN_ONLY = ["discord"]
+
+export function loadChannels() {
+    const raw = process.env.PUBLISH_CHANNELS
+    if (!raw) {
+        return [
+            { id: "telegram", type: "telegram", chatId: process.env.TELEGRAM_CHAT_ID, language: DEFAULT_LANGUAGE, format: DEFAULT_FORMAT },
+        ]
+    }
+
+    const channels = JSON.parse(raw)
+    if (!Array.isArray(channels)) throw new Error("PUBLISH_CHANNELS must be a JSON array")
+    return channels
+        .filter((channel) => channel.enabled !== false)
+        .map((channel, i) => {
+            if (!ADAPTERS[channel.type]) throw new Error(`Unknown channel type: ${channel.type}`)
+            const language = channel.language ?? DEFAULT_LANGUAGE
+            if (!getLanguage(language)) throw new Error(`Unknown channel language: ${language}`)
+            const format = channel.format ?? DEFAULT_FORMAT
+            if (!FORMATS.some((f) => f.id === format)) throw new Error(`Unknown channel format: ${format}`)
+            if (format !== DEFAULT_FORMAT && PLAIN_ONLY.includes(channel.type)) {
+                throw new Error(`${channel.type} channels only take plain text`)
+            }
+            return { ...channel, id: channel.id || `${channel.type}-${i + 1}`, language, format }
+        })
+}
+
+const MAX_ATTEMPTS = 4
+const BASE_DELAY_MS = 500
+// Waiting longer would outlast the publish request (maxDuration in app/api/signals)
+const MAX_WAIT_MS = 20000
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Runs an adapter call until it succeeds, fails for good or runs out of
+ * attempts. Resolves with its last result plus the number of `attempts`.
+ * Unless the call is `repeatable`, a failure the service may have acted on
+ * (a 5xx, or an error thrown after the request left this server) is not
+ * retried and comes back with `unknown: true`.
+ */
+async function withRetries(call, { repeatable = true } = {}) {
+    let waited = 0
+    for (let attempt = 1; ; attempt++) {
+        let result
+        try {
+            result = await call()
+        } catch (err) {
+            result = { ok: false, error: errorMessage(err), retryable: true, unknown: !neverSent(err) }
+        }
+        const { retryable, retryAfter, unknown, ...outcome } = result
+        if (!repeatable && unknown) return { ...outcome, unknown: true, attempts: attempt }
+        if (outcome.ok || !retryable || attempt === MAX_ATTEMPTS) return { ...outcome, attempts: attempt }
+
+        const delay = retryAfter !== undefined ? retryAfter * 1000 : BASE_DELAY_MS * 2 ** (attempt - 1)
+        if (waited + delay > MAX_WAIT_MS) {
+            return { ...outcome, error: `${outcome.error} (asked to wait ${Math.ceil(delay / 1000)}s)`, attempts: attempt }
+        }
+        waited += delay
+        await sleep(delay)
+    }
+}
+
+async function deliver(channel, { text, variants, layouts, photo, signal, replyTo }) {
+    const replyToMessageId = replyTo?.[channel.id] ?? null
+    const layout = layouts?.[channel.language]
+    const localized = layout ? formatLayout(layout, channel.format) : (variants?.[channel.language] ?? text)
+    const format = layout ? channel.format : DEFAULT_FORMAT
+    // Posting twice is worse than not posting, so a send is never repeated blindly
+    const result = await withRetries(
+        () => ADAPTERS[channel.type].send(channel, { text: localized, format, photo, signal, replyToMessageId }),
+        { repeatable: false }
+    )
+    return { channelId: channel.id, type: channel.type, language: channel.language, format, ...result }
+}
+
+/**
+ * Applies an edit or retraction to every channel a signal was delivered to.
+ * `operation` is "edit" or "retract"; `payload` is the same for every
+ * delivery or a function of the delivery (to word it in its language).
+ * Resolves with one result per delivery.
+ */
+export function correctDeliveries(deliveries, operation, payload, channels = loadChannels()) {
+    return Promise.all(
+        deliveries
+            .filter((d) => d.ok && d.messageId)
+            .map(async (delivery) => {
+                const base = { channelId: delivery.channelId, type: delivery.type, language: delivery.language }
+                const channel = channels.find((c) => c.id === delivery.channelId)
+                if (!channel) return { ...base, ok: false, error: "Channel is no longer configured" }
+                const result = await withRetries(() =>
+                    ADAPTERS[channel.type][operation](channel, {
+                        ...(typeof payload === "function" ? payload(delivery) : payload),
+                        messageId: delivery.messageId,
+                        photoMessageId: delivery.photoMessageId ?? null,
+                    })
+                )
+                return { ...base, ...result }
+            })
+    )
+}
+
+/**
+ * Sends the message to every configured channel in parallel.
+ * `layouts` maps languages to the message layout (see lib/messages.js),
+ * formatted per channel; without one a channel gets the plain text of its
+ * language from `variants`, or `text`.
+ * `photo` is an image posted along with the text where the channel can.
+ * `replyTo` maps channel ids to the message id to thread the reply under.
+ * Resolves with one delivery result per channel; never rejects.
+ */
+export function fanOut(message, channels = loadChannels()) {
+    return Promise.all(channels.map((channel) => deliver(channel, message)))
+}
@@ -0,0 +1,50 @@
+import { randomUUID } from "crypto"
+import { promises as fs } from "fs"
+import path from "path"
+import { DATA_DIR } from "../store"
+
+/**
+ * Local sinks for testing without touching real subscribers.
+ * Config: { type: "console" } logs the message;
+ *         { type: "file", path? } appends one JSON line per message
+ *         (default `<DATA_DIR>/outbox.log`) and writes photos next to it
+ *         as `<message id>.png`.
+ */
+
+const outboxFile = (channel) => channel.path || path.join(DATA_DIR, "outbox.log")
+
+async function write(channel, entry) {
+    if (channel.type === "file") {
+        const file = outboxFile(channel)
+        await fs.mkdir(path.dirname(file), { recursive: true })
+        await fs.appendFile(file, JSON.stringify({ channel: channel.id, ...entry, at: new Date().toISOString() }) + "\n")
+    } else {
+        const thread = entry.replyTo ? ` (reply to ${entry.replyTo})` : ""
+        console.log(`[${channel.id}] ${entry.event} ${entry.messageId}${thread}\n${entry.text ?? entry.note ?? ""}`)
+    }
+}
+
+async function savePhoto(channel, messageId, photo) {
+    if (channel.type !== "file") return `${photo.length} bytes`
+    const file = path.join(path.dirname(outboxFile(channel)), `${messageId}.png`)
+    await fs.mkdir(path.dirname(file), { recursive: true })
+    await fs.writeFile(file, photo)
+    return file
+}
+
+export async function send(channel, { text, format, photo, signal, replyToMessageId }) {
+    const messageId = randomUUID()
+    const photoFile = photo ? await savePhoto(channel, messageId, photo) : undefined
+    await write(channel, { event: "published", messageId, text, format, photo: photoFile, signal, replyTo: replyToMessageId })
+    return { ok: true, messageId }
+}
+
+export async function edit(channel, { messageId, text, format }) {
+    await write(channel, { event: "edited", messageId, text, format })
+    return { ok: true }
+}
+
+export async function retract(channel, { messageId, note }) {
+    await write(channel, { event: "retracted", messageId, note })
+    return { ok: true, mode: "retracted" }
+}
@@ -0,0 +1,100 @@
+import { formatRetraction } from "../formatting"
+
+/**
+ * Telegram Bot API channel.
+ * Config: { type: "telegram", chatId, botToken?, format? }
+ * `botToken` defaults to TELEGRAM_BOT_TOKEN so extra groups only need a chat id.
+ * A photo (the payoff chart) is sent with `sendPhoto` as a reply to the text.
+ */
+
+const PARSE_MODES = { markdownv2: "MarkdownV2", html: "HTML" }
+
+// `body` is JSON, or FormData for uploads
+async function callTelegram(channel, method, body) {
+    const botToken = channel.botToken || process.env.TELEGRAM_BOT_TOKEN
+    const upload = body instanceof FormData
+    if (upload) body.append("chat_id", String(channel.chatId))
+    const res = await fetch(`https://api.telegram.org/bot${botToken}/${method}`, {
+        method: "POST",
+        ...(upload
+            ? { body }
+            : { headers: { "Content-Type": "application/json" }, body: JSON.stringify({ chat_id: channel.chatId, ...body }) }),
+    })
+
+    const data = await res.json().catch(() => ({}))
+    if (!res.ok) {
+        // 429 carries how long to wait in `parameters.retry_after` (seconds)
+        return {
+            ok: false,
+            error: data.description || `Telegram responded with status ${res.status}`,
+            retryable: res.status === 429 || res.status >= 500,
+            // A 5xx may come after the request was acted on
+            unknown: res.status >= 500,
+            retryAfter: data.parameters?.retry_after,
+        }
+    }
+    return { ok: true, result: data.result }
+}
+
+function sendPhoto(channel, photo, replyToMessageId) {
+    const form = new FormData()
+    form.append("photo", new Blob([photo], { type: "image/png" }), "payoff.png")
+    form.append("reply_to_message_id", String(replyToMessageId))
+    form.append("allow_sending_without_reply", "true")
+    return callTelegram(channel, "sendPhoto", form)
+}
+
+export async function send(channel, { text, format, photo, replyToMessageId }) {
+    const res = await callTelegram(channel, "sendMessage", {
+        text,
+        ...(PARSE_MODES[format] && { parse_mode: PARSE_MODES[format] }),
+        // Thread follow-ups under the original call; still post if it was deleted
+        ...(replyToMessageId && {
+            reply_to_message_id: replyToMessageId,
+            allow_sending_without_reply: true,
+        }),
+    })
+    if (!res.ok) return res
+    const messageId = res.result?.message_id ?? null
+    if (!photo) return { ok: true, messageId }
+
+    // The text is out; a failed photo must not make the whole send retry
+    const sent = await sendPhoto(channel, photo, messageId).catch((err) => ({ ok: false, error: err.message }))
+    return sent.ok
+        ? { ok: true, messageId, photoMessageId: sent.result?.message_id ?? null }
+        : { ok: true, messageId, photoError: sent.error }
+}
+
+export async function edit(channel, { messageId, text, format }) {
+    const res = await callTelegram(channel, "editMessageText", {
+        message_id: messageId,
+        text,
+        ...(PARSE_MODES[format] && { parse_mode: PARSE_MODES[format] }),
+    })
+    return res.ok ? { ok: true } : res
+}
+
+/**
+ * Deletes the message and its photo. Bots can only delete messages younger
+ * than 48 hours, so older ones are struck through and the correction note
+ * appended instead (their photo stays).
+ */
+export async function retract(channel, { messageId, photoMessageId, text, layout, format, note }) {
+    if (photoMessageId) await callTelegram(channel, "deleteMessage", { message_id: photoMessageId })
+    const deleted = await callTelegram(channel, "deleteMessage", { message_id: messageId })
+    if (deleted.ok) return { ok: true, mode: "deleted" }
+
+    // A formatted message stays formatted under the strike-through
+    const struck = await callTelegram(
+        channel,
+        "editMessageText",
+        PARSE_MODES[format] && layout
+            ? { message_id: messageId, text: formatRetraction(layout, note, format), parse_mode: PARSE_MODES[format] }
+            : {
+                  message_id: messageId,
+                  text: `${text}\n\n${note}`,
+                  entities: [{ type: "strikethrough", offset: 0, length: text.length }],
+              }
+    )
+    return struck.ok ? { ok: true, mode: "struck" } : struck
+}
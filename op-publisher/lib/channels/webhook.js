@@ -0,0 +1,44 @@
+/**
+ * Generic HTTP webhook channel (CRM and other integrations).
+ * Config: { type: "webhook", url, headers? }
+ * Receives the rendered text, its `format` (see lib/formatting.js) and the
+ * structured signal.
+ * Edits and retractions are posted as `signal.edited` / `signal.retracted`
+ * events carrying the id the receiver returned for the original message.
+ */
+async function post(channel, payload) {
+    const res = await fetch(channel.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...channel.headers },
+        body: JSON.stringify({ channel: channel.id, ...payload, sentAt: Date.now() }),
+    })
+
+    const data = await res.json().catch(() => ({}))
+    if (!res.ok) {
+        const retryAfter = Number(res.headers.get("Retry-After"))
+        return {
+            ok: false,
+            error: data.error || `Webhook responded with status ${res.status}`,
+            retryable: res.status === 429 || res.status >= 500,
+            // A 5xx may come after the request was acted on
+            unknown: res.status >= 500,
+            retryAfter: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : undefined,
+        }
+    }
+    return { ok: true, data }
+}
+
+export async function send(channel, { text, format, signal, replyToMessageId }) {
+    const res = await post(channel, { event: "signal.published", text, format, signal, replyTo: replyToMessageId })
+    return res.ok ? { ok: true, messageId: res.data.id ?? null } : res
+}
+
+export async function edit(channel, { messageId, text, format }) {
+    const res = await post(channel, { event: "signal.edited", messageId, text, format })
+    return res.ok ? { ok: true } : res
+}
+
+export async function retract(channel, { messageId, note }) {
+    const res = await post(channel, { event: "signal.retracted", messageId, note })
+    return res.ok ? { ok: true, mode: "retracted" } : res
+}
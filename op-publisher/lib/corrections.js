@@ -0,0 +1,146 @@
+import { audited } from "./audit"
+import { correctDeliveries } from "./channels"
+import { DEFAULT_FORMAT, formatLayout, relayout } from "./formatting"
+import { getSignal, readSignals, updateSignal } from "./ledger"
+import { currentLibrary } from "./library"
+import { ORDER_TYPES } from "./signals"
+import { DEFAULT_LANGUAGE, getLanguage } from "./templates"
+
+/**
+ * Edits and retractions of already published signals.
+ * Every correction is applied to each channel the signal reached and then
+ * recorded as a revision on the original ledger record.
+ * An edit rewords one language and reaches the channels in that language;
+ * a retraction reaches every channel, worded in its language.
+ * Each channel gets the correction in the format it was published in.
+ * Signals that carry orders can only be reworded: their prices also live in
+ * the ledger's legs, positions, P&L and the broker automation, which an edit
+ * does not reach, so a wrong price calls for a retraction and a new signal.
+ * Both resolve with `{ record, results }` or `{ error, status, results? }`
+ * and are recorded in the audit log (lib/audit.js).
+ */
+
+async function loadPublished(id) {
+    const record = await getSignal(id)
+    if (!record) return { error: "Signal not found", status: 404 }
+    if (record.status === "RETRACTED") return { error: "Signal was already retracted", status: 409 }
+    return { record }
+}
+
+const failedEverywhere = (results) => results.length > 0 && !results.some((r) => r.ok)
+
+// Signals published before messages were translated were sent in English only
+const variantsOf = (record) => record.variants ?? { [DEFAULT_LANGUAGE]: record.text }
+
+const languageOf = (delivery) => delivery.language ?? DEFAULT_LANGUAGE
+
+const formatOf = (delivery) => delivery.format ?? DEFAULT_FORMAT
+
+// Every number in a message, in order: prices, strikes, dates, percentages
+const numbersIn = (text) => (text.match(/\d+(?:\.\d+)?/g) ?? []).map(Number)
+
+const sameNumbers = (a, b) => {
+    const [x, y] = [numbersIn(a), numbersIn(b)]
+    return x.length === y.length && x.every((n, i) => n === y[i])
+}
+
+// Signals published before formatting have their text as plain lines
+const layoutsOf = (record) =>
+    record.layouts ?? Object.fromEntries(Object.entries(variantsOf(record)).map(([language, text]) => [language, relayout(text)]))
+
+export function editSignal(id, text, { editor, language = DEFAULT_LANGUAGE }) {
+    return audited({ action: "EDIT", user: editor, payload: { id, language, text } }, () =>
+        applyEdit(id, text, { editor, language })
+    )
+}
+
+async function applyEdit(id, text, { editor, language }) {
+    if (!text?.trim()) return { error: "Message cannot be empty", status: 400 }
+    const { label } = getLanguage(language) ?? {}
+    if (!label) return { error: `Unknown language: ${language}`, status: 400 }
+
+    const { record, error, status } = await loadPublished(id)
+    if (error) return { error, status }
+    if (text === variantsOf(record)[language]) return { error: "Message is unchanged", status: 400 }
+    if (ORDER_TYPES.includes(record.type) && !sameNumbers(text, variantsOf(record)[language])) {
+        const error = "Only the wording of a signal with orders can be edited; retract it and send it again to change a number"
+        return { error, status: 400 }
+    }
+
+    const deliveries = (record.deliveries ?? []).filter((d) => languageOf(d) === language)
+    if (!deliveries.length) return { error: `The message was not sent in ${label} to any channel`, status: 409 }
+    // Lines the editor left alone keep their formatting
+    const layout = relayout(text, layoutsOf(record)[language])
+    const results = await correctDeliveries(deliveries, "edit", (delivery) => ({
+        text: formatLayout(layout, formatOf(delivery)),
+        format: formatOf(delivery),
+    }))
+    if (failedEverywhere(results)) return { error: "Could not edit the message in any channel", status: 502, results }
+
+    const updated = await updateSignal(id, (r) => {
+        const variants = variantsOf(r)
+        r.revisions = [
+            ...(r.revisions ?? []),
+            {
+                action: "EDIT",
+                language,
+                previousText: variants[language],
+                text,
+                by: editor,
+                at: new Date().toISOString(),
+                results,
+            },
+        ]
+        r.variants = { ...variants, [language]: text }
+        r.layouts = { ...layoutsOf(r), [language]: layout }
+        if (language === DEFAULT_LANGUAGE) r.text = text
+    })
+    return { record: updated, results }
+}
+
+export function retractSignal(id, note, { editor }) {
+    return audited({ action: "RETRACT", user: editor, payload: { id, note } }, () => applyRetraction(id, note, { editor }))
+}
+
+async function applyRetraction(id, note, { editor }) {
+    const { record, error, status } = await loadPublished(id)
+    if (error) return { error, status }
+
+    // Later follow-ups (exits, stop-loss changes) were sent against the position as this
+    // signal left it, so neither the Fresh Trade nor an earlier follow-up can vanish under them
+    const positionId = record.type === "FRESH_TRADE" ? record.id : record.positionId
+    if (positionId) {
+        const signals = await readSignals()
+        const followUps = signals
+            .slice(signals.findIndex((s) => s.id === record.id) + 1)
+            .filter((s) => s.positionId === positionId && s.status !== "RETRACTED")
+        if (followUps.length) {
+            const error =
+                record.type === "FRESH_TRADE"
+                    ? "Retract the follow-ups of this trade first"
+                    : "Retract the later follow-ups of this position first"
+            return { error, status: 409 }
+        }
+    }
+
+    // A note typed by the editor goes out as is; the default one in each channel's language
+    const { templates } = await currentLibrary()
+    const noteIn = (language) => note?.trim() || templates[language]["ignore.text"]
+    const variants = variantsOf(record)
+    const layouts = layoutsOf(record)
+    const results = await correctDeliveries(record.deliveries ?? [], "retract", (delivery) => ({
+        text: variants[languageOf(delivery)] ?? record.text,
+        layout: layouts[languageOf(delivery)] ?? relayout(record.text),
+        format: formatOf(delivery),
+        note: noteIn(languageOf(delivery)),
+    }))
+    if (failedEverywhere(results)) return { error: "Could not retract the message in any channel", status: 502, results }
+
+    const updated = await updateSignal(id, (r) => {
+        const at = new Date().toISOString()
+        r.status = "RETRACTED"
+        r.retractedAt = at
+        r.revisions = [...(r.revisions ?? []), { action: "RETRACT", note: noteIn(DEFAULT_LANGUAGE), by: editor, at, results }]
+    })
+    return { record: updated, results }
+}
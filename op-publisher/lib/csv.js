@@ -0,0 +1,21 @@
+/**
+ * CSV export shared by the analytics and audit downloads.
+ * Values are written as-is; objects and arrays as JSON. Text that a
+ * spreadsheet would run as a formula (starting with =, +, -, @, a tab or a
+ * carriage return, as a typed comment or error message could) is prefixed
+ * with ' so it opens as text. Numbers are left alone, so negative P&L stays
+ * a number.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/
+
+function csvCell(value) {
+    if (value === null || value === undefined) return ""
+    let text = typeof value === "object" ? JSON.stringify(value) : String(value)
+    if (typeof value !== "number" && FORMULA_START.test(text)) text = `'${text}`
+    return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
+
+export function toCsv(rows, columns) {
+    return [columns.join(","), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(","))].join("\n")
+}
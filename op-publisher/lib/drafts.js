@@ -0,0 +1,164 @@
+import { randomUUID } from "crypto"
+import { audited } from "./audit"
+import { prepareSignal, publishSignal } from "./publish"
+import { readCollection, updateCollection } from "./store"
+import { LANGUAGES } from "./templates"
+
+/**
+ * Maker-checker approval of signals.
+ *
+ * A publisher who does not skip approval (see lib/users.js) saves a draft
+ * instead of publishing. A reviewer other than the author approves it, which
+ * publishes it as the author, or rejects it with a comment.
+ *
+ * Record shape:
+ * {
+ *   id, type, underlying, payload, text,  // the signal as submitted and its rendered text
+ *   variants: { en, hi, mr },             // the text in every language
+ *   layouts: { en, hi, mr },              // their layouts, for the formatted view (lib/formatting.js)
+ *   templateVersion,                      // the template library version it was rendered with
+ *   author, createdAt,
+ *   status,                               // PENDING | PUBLISHING | APPROVED | REJECTED
+ *   review: { by, comment, at },
+ *   signalId, lastError
+ * }
+ *
+ * The reviewer approves the exact text in the queue, in every language: the
+ * draft is published with the template version it was drafted with, and a
+ * draft whose message would now render differently (the position changed meanwhile, ...) is not
+ * published and has to be rejected and drafted again.
+ * Mutations resolve with `{ draft, ... }` or `{ error, status }`.
+ */
+
+const COLLECTION = "drafts"
+
+export const DRAFT_STATUSES = ["PENDING", "PUBLISHING", "APPROVED", "REJECTED"]
+
+/**
+ * True when a session user's signals need a reviewer's approval.
+ */
+export function needsApproval(user) {
+    return !user?.skipApproval
+}
+
+export function submitDraft(input, { author }) {
+    return audited({ action: "SUBMIT", user: author, payload: input }, () => saveDraft(input, { author }))
+}
+
+async function saveDraft(input, { author }) {
+    const prepared = await prepareSignal(input)
+    if (prepared.error) return prepared
+
+    const draft = {
+        id: randomUUID(),
+        type: prepared.signal.type,
+        underlying: prepared.signal.underlying ?? null,
+        payload: input,
+        text: prepared.text,
+        variants: prepared.variants,
+        layouts: prepared.layouts,
+        templateVersion: prepared.signal.templateVersion,
+        author,
+        createdAt: new Date().toISOString(),
+        status: "PENDING",
+        review: null,
+        signalId: null,
+        lastError: null,
+    }
+    await updateCollection(COLLECTION, (drafts) => {
+        drafts.push(draft)
+    })
+    return { draft }
+}
+
+/**
+ * Most recent drafts first, optionally only those in `status`.
+ */
+export async function listDrafts({ status, limit = 100 } = {}) {
+    const drafts = await readCollection(COLLECTION)
+    return drafts
+        .filter((d) => !status || d.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+}
+
+export async function getDraft(id) {
+    const drafts = await readCollection(COLLECTION)
+    return drafts.find((d) => d.id === id) ?? null
+}
+
+// Moves a pending draft to `status` atomically, so two reviewers cannot both act on it
+function claim(id, reviewer, status, changes = {}) {
+    return updateCollection(COLLECTION, (drafts) => {
+        const draft = drafts.find((d) => d.id === id)
+        if (!draft) return { error: "Draft not found", status: 404 }
+        if (draft.status !== "PENDING") return { error: `Draft is already ${draft.status.toLowerCase()}`, status: 409 }
+        if (draft.author === reviewer) return { error: "You cannot review your own draft", status: 403 }
+        Object.assign(draft, { status, ...changes })
+        return { draft: { ...draft } }
+    })
+}
+
+// Drafts saved before messages were translated only hold the English text
+const unchanged = (draft, prepared) =>
+    prepared.text === draft.text && LANGUAGES.every(({ id }) => !draft.variants || prepared.variants[id] === draft.variants[id])
+
+function updateDraft(id, changes) {
+    return updateCollection(COLLECTION, (drafts) => {
+        const draft = drafts.find((d) => d.id === id)
+        Object.assign(draft, changes)
+        return { ...draft }
+    })
+}
+
+export async function approveDraft(id, { reviewer, comment }) {
+    const claimed = await claim(id, reviewer, "PUBLISHING")
+    if (claimed.error) return claimed
+    const { draft } = claimed
+
+    // Anything but a clean publish puts the draft back in the queue
+    const release = async (error, status, extra = {}) => {
+        await updateDraft(id, { status: "PENDING", lastError: error })
+        return { error, status, ...extra }
+    }
+
+    try {
+        const { templateVersion } = draft
+        const prepared = await prepareSignal(draft.payload, { templateVersion })
+        if (prepared.error) return release(`Cannot be published any more: ${prepared.error}`, prepared.status)
+        if (!unchanged(draft, prepared)) {
+            return release("The message has changed since it was drafted; reject it and draft it again", 409)
+        }
+
+        const review = { by: reviewer, comment: comment?.trim() || null, at: new Date().toISOString() }
+        const result = await publishSignal(draft.payload, {
+            sender: draft.author,
+            approval: { draftId: id, ...review },
+            templateVersion,
+            // Approving the draft again is the same call to the automation
+            requestId: `draft-${id}`,
+        })
+        if (result.error) {
+            const { automation, deliveries, unknown } = result
+            return release(result.error, result.status, { automation, deliveries, unknown })
+        }
+
+        const approved = await updateDraft(id, {
+            status: "APPROVED",
+            review,
+            signalId: result.record?.id ?? null,
+            lastError: null,
+        })
+        return { draft: approved, automation: result.automation, deliveries: result.deliveries, warning: result.warning }
+    } catch (err) {
+        await updateDraft(id, { status: "PENDING", lastError: err.message })
+        throw err
+    }
+}
+
+export async function rejectDraft(id, { reviewer, comment }) {
+    if (!comment?.trim()) return { error: "Say why the draft is rejected", status: 400 }
+    return claim(id, reviewer, "REJECTED", {
+        review: { by: reviewer, comment: comment.trim(), at: new Date().toISOString() },
+    })
+}
@@ -0,0 +1,105 @@
+/**
+ * Output formats of a message layout (see lib/messages.js).
+ *
+ * A layout is a list of lines, each `{ header?, parts }`: header lines are
+ * titles, and `parts` are strings and `{ marker }` objects (BUY, SELL, SL,
+ * TARGET) placed before what they mark.
+ *
+ * - plain: the text exactly as before; markers are dropped and text in
+ *   double quotes keeps its quotes
+ * - markdownv2 / html: Telegram's parse modes. Headers are bold, text in
+ *   double quotes (the instrument of a leg) is monospace and markers become
+ *   emoji. Everything else is escaped, so prices such as 142.5 or "(1 lot
+ *   per leg)" cannot break the markup.
+ * Pure functions only, safe to import from client code (the preview renders
+ * layouts with them).
+ */
+
+export const FORMATS = [
+    { id: "plain", label: "Plain text" },
+    { id: "markdownv2", label: "MarkdownV2" },
+    { id: "html", label: "HTML" },
+]
+
+export const DEFAULT_FORMAT = "plain"
+
+export const MARKERS = { BUY: "🟢", SELL: "🔴", SL: "🛑", TARGET: "🎯" }
+
+const QUOTED = /"([^"\n]+)"/g
+
+function bodySegments(part, rich) {
+    if (typeof part !== "string") return rich ? [{ style: "text", text: `${MARKERS[part.marker]} ` }] : []
+    if (!rich) return [{ style: "text", text: part }]
+
+    const segments = []
+    let last = 0
+    for (const match of part.matchAll(QUOTED)) {
+        if (match.index > last) segments.push({ style: "text", text: part.slice(last, match.index) })
+        segments.push({ style: "code", text: match[1] })
+        last = match.index + match[0].length
+    }
+    if (last < part.length) segments.push({ style: "text", text: part.slice(last) })
+    return segments
+}
+
+/**
+ * The lines of a layout as styled segments `{ style, text }`, style being
+ * "text", "bold" or "code". Without `rich` every segment is plain text.
+ */
+export function layoutSegments(layout, rich) {
+    return layout.map((line) => {
+        if (line.header) {
+            const text = line.parts.join("")
+            // Telegram refuses empty entities
+            return [{ style: rich && text.trim() ? "bold" : "text", text }]
+        }
+        return line.parts.flatMap((part) => bodySegments(part, rich))
+    })
+}
+
+const MARKDOWN_SPECIAL = /[_*[\]()~`>#+\-=|{}.!\\]/g
+
+const escapeHtml = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+
+const SERIALIZERS = {
+    markdownv2: {
+        text: (s) => s.replace(MARKDOWN_SPECIAL, "\\$&"),
+        bold: (s) => `*${s.replace(MARKDOWN_SPECIAL, "\\$&")}*`,
+        // Inside code only ` and \ are special
+        code: (s) => `\`${s.replace(/[`\\]/g, "\\$&")}\``,
+    },
+    html: {
+        text: escapeHtml,
+        bold: (s) => `<b>${escapeHtml(s)}</b>`,
+        code: (s) => `<code>${escapeHtml(s)}</code>`,
+    },
+}
+
+/**
+ * The message text of a layout in one of FORMATS.
+ */
+export function formatLayout(layout, format = DEFAULT_FORMAT) {
+    const serializer = SERIALIZERS[format]
+    return layoutSegments(layout, format !== DEFAULT_FORMAT)
+        .map((segments) => segments.map((s) => (serializer ? serializer[s.style](s.text) : s.text)).join(""))
+        .join("\n")
+}
+
+/**
+ * Lays out edited plain text like `layout`: lines left as they were keep
+ * their header style and markers, new or changed lines are body lines.
+ */
+export function relayout(text, layout = []) {
+    const lines = new Map(layout.map((line) => [formatLayout([line]), line]))
+    return text.split("\n").map((line) => lines.get(line) ?? { parts: [line] })
+}
+
+const STRUCK = { markdownv2: (s) => `~${s}~`, html: (s) => `<s>${s}</s>` }
+
+/**
+ * A retracted message in a rich format: the layout struck through, then the
+ * correction note.
+ */
+export function formatRetraction(layout, note, format) {
+    return `${STRUCK[format](formatLayout(layout, format))}\n\n${SERIALIZERS[format].text(note)}`
+}
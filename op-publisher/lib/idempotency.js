@@ -0,0 +1,75 @@
+import { updateCollection } from "./store"
+
+/**
+ * Idempotency keys for publish requests.
+ *
+ * Every preview hands out a fresh key (POST /api/signals/preview) and the
+ * publish request sends it back in the `Idempotency-Key` header, so a double
+ * click or a client retry after a slow response cannot publish a call twice.
+ * The first request with a key runs; the same key is refused with 409 while
+ * it runs and answered with the stored response once it is done.
+ * A request that changed nothing (refused, or delivered nowhere) frees its
+ * key so the publisher can try again. Keys are scoped to the user and
+ * forgotten after a day.
+ *
+ * Entry shape: { id, status, createdAt, response: { status, body } }
+ * where `id` is "<user>:<key>" and `status` is PENDING or DONE.
+ */
+
+const COLLECTION = "idempotency"
+
+const KEEP_MS = 24 * 60 * 60 * 1000
+
+// A request still pending after this long died with its server instance
+const ABANDONED_MS = 2 * 60 * 1000
+
+const age = (entry) => Date.now() - Date.parse(entry.createdAt)
+
+function claim(id) {
+    return updateCollection(COLLECTION, (entries) => {
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const entry = entries[i]
+            if (age(entry) > KEEP_MS || (entry.status === "PENDING" && age(entry) > ABANDONED_MS)) entries.splice(i, 1)
+        }
+        const existing = entries.find((e) => e.id === id)
+        if (existing) return existing
+        entries.push({ id, status: "PENDING", createdAt: new Date().toISOString(), response: null })
+        return null
+    })
+}
+
+function settle(id, response) {
+    return updateCollection(COLLECTION, (entries) => {
+        const index = entries.findIndex((e) => e.id === id)
+        if (index === -1) return
+        if (response) Object.assign(entries[index], { status: "DONE", response })
+        else entries.splice(index, 1)
+    })
+}
+
+/**
+ * Runs `run` at most once per key. `run` resolves with `{ status, body, done }`,
+ * `done` being false when nothing was published or saved.
+ * Resolves with `{ status, body }`; a replayed response has `replayed: true`
+ * in its body. Without a key `run` simply runs.
+ */
+export async function idempotent({ key, user }, run) {
+    if (!key) return run()
+    const id = `${user}:${key}`
+
+    const existing = await claim(id)
+    if (existing?.status === "PENDING") {
+        return { status: 409, body: { error: "This message is already being sent", pending: true } }
+    }
+    if (existing) return { status: existing.response.status, body: { ...existing.response.body, replayed: true } }
+
+    let result
+    try {
+        result = await run()
+    } catch (err) {
+        await settle(id, null)
+        throw err
+    }
+    await settle(id, result.done ? { status: result.status, body: result.body } : null)
+    return result
+}
@@ -0,0 +1,97 @@
+import { randomUUID } from "crypto"
+import { readCollection, updateCollection } from "./store"
+
+/**
+ * Trade ledger: one structured record per published signal.
+ *
+ * Record shape:
+ * {
+ *   id, type, underlying, expiry, strategy, action, quantityPct, positionId, refersTo,
+ *   legs: [{ strike, optionType, side, entryLow, entryHigh, stopLoss, targets, exitPrice, legIndex, quantityPct,
+ *            previousStopLoss }],
+ *   period, summary,  // Performance Summary only (see lib/pnl.js)
+ *   text, templateVersion, sender, createdAt, status,  // see lib/library.js for templateVersion
+ *   variants: { en, hi, mr },  // the message in every language; `text` is the English one
+ *   layouts: { en, hi, mr },  // the same as layouts, for formatted corrections (lib/formatting.js)
+ *   approval: { draftId, by, comment, at },  // when it went out through a reviewer (lib/drafts.js)
+ *   automation: { ok, status, requestId, acknowledgement },  // when its orders went to the broker automation
+ *   deliveries: [{ channelId, type, language, format, ok, messageId, photoMessageId, error, attempts }],
+ *   revisions: [{ action, language, text, previousText, note, by, at, results }]
+ * }
+ *
+ * `side` on a leg is always the order the subscriber places for that leg,
+ * so a square-off of a bought CE is recorded as a SELL leg (and so is a
+ * stop-loss change on it, since the stop order is a SELL).
+ * Exit signals point at the Fresh Trade they close through `positionId`
+ * (the Fresh Trade's own id) and `legIndex`; see lib/positions.js.
+ * Follow-ups (exits, ignore notices) name the signal they follow up in
+ * `refersTo`, which is used to thread them as replies in each channel.
+ * Edits and retractions are recorded in `revisions`; a retracted signal keeps
+ * its record with `status: "RETRACTED"` and no longer counts towards positions,
+ * and neither does a signal an ignore notice refers to.
+ */
+
+const COLLECTION = "signals"
+
+/**
+ * Appends a normalized signal (see lib/signals.js) to the ledger and
+ * resolves with the stored record.
+ */
+export async function recordSignal({ signal, text, variants, layouts, sender, deliveries, approval, automation }) {
+    const record = {
+        id: randomUUID(),
+        ...signal,
+        text,
+        variants,
+        layouts,
+        sender,
+        ...(approval && { approval }),
+        ...(automation && { automation }),
+        deliveries,
+        status: "PUBLISHED",
+        revisions: [],
+        createdAt: new Date().toISOString(),
+    }
+
+    await updateCollection(COLLECTION, (records) => {
+        records.push(record)
+    })
+    return record
+}
+
+export async function getSignal(id) {
+    const records = await readCollection(COLLECTION)
+    return records.find((r) => r.id === id) ?? null
+}
+
+/**
+ * Lets `mutate` change a stored signal in place; resolves with the updated
+ * record, or null when there is no signal with that id.
+ */
+export function updateSignal(id, mutate) {
+    return updateCollection(COLLECTION, (records) => {
+        const record = records.find((r) => r.id === id)
+        if (!record) return null
+        mutate(record)
+        return record
+    })
+}
+
+/**
+ * Every signal in the order it was published.
+ */
+export async function readSignals() {
+    const records = await readCollection(COLLECTION)
+    return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+/**
+ * Most recent signals first.
+ */
+export async function listSignals({ type, limit = 100 } = {}) {
+    const records = await readCollection(COLLECTION)
+    return records
+        .filter((r) => !type || r.type === type)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+}
@@ -0,0 +1,67 @@
+import { readCollection, updateCollection } from "./store"
+import { completeTemplates, DEFAULT_LANGUAGE, DEFAULT_TEMPLATES, validateTemplates } from "./templates"
+
+/**
+ * Versioned template library.
+ *
+ * Every save stores a complete new version: { version, templates, note, by, at },
+ * with the templates of every language (see lib/templates.js).
+ * Version 0 is the built-in wording (DEFAULT_TEMPLATES) and is used until
+ * the first save. Each signal records the `templateVersion` it was rendered
+ * with, so it can be rendered again exactly as it was sent.
+ * Templates and languages added to the code later fall back to their default
+ * in older versions.
+ */
+
+const COLLECTION = "templates"
+
+const BUILT_IN = { version: 0, templates: DEFAULT_TEMPLATES, note: "Built-in wording", by: null, at: null }
+
+// Versions saved before the library was translated hold the English templates only
+const byLanguage = (templates) => (templates[DEFAULT_LANGUAGE] ? templates : { [DEFAULT_LANGUAGE]: templates })
+
+const complete = (entry) => ({ ...entry, templates: completeTemplates(byLanguage(entry.templates)) })
+
+export async function currentLibrary() {
+    const versions = await readCollection(COLLECTION)
+    return versions.length ? complete(versions[versions.length - 1]) : BUILT_IN
+}
+
+/**
+ * A version of the library, or null when there is no such version.
+ */
+export async function getLibrary(version) {
+    if (version === 0) return BUILT_IN
+    const entry = (await readCollection(COLLECTION)).find((v) => v.version === version)
+    return entry ? complete(entry) : null
+}
+
+/**
+ * Every version without its templates, newest first.
+ */
+export async function listVersions() {
+    const versions = await readCollection(COLLECTION)
+    return [...versions, BUILT_IN]
+        .map(({ version, note, by, at }) => ({ version, note, by, at }))
+        .sort((a, b) => b.version - a.version)
+}
+
+/**
+ * Saves `templates` as a new version. Resolves with `{ library }` or `{ error, status }`.
+ */
+export async function saveLibrary(templates, { note, by }) {
+    const error = validateTemplates(templates)
+    if (error) return { error, status: 400 }
+
+    return updateCollection(COLLECTION, (versions) => {
+        const entry = {
+            version: (versions[versions.length - 1]?.version ?? 0) + 1,
+            templates: completeTemplates(templates),
+            note: note?.trim() || null,
+            by,
+            at: new Date().toISOString(),
+        }
+        versions.push(entry)
+        return { library: entry }
+    })
+}
@@ -0,0 +1,84 @@
+/**
+ * Lifecycle of a position leg and of the position as a whole.
+ *
+ *   OPEN ──(partial booking)──> PARTIAL ──(exit of what is left)──> CLOSED
+ *     └───────────────(full exit)────────────────────────────────────┘
+ *
+ * A leg is OPEN while all of its quantity is held, PARTIAL once some of it
+ * has been booked and CLOSED at 0%. A position is CLOSED when every leg is,
+ * PARTIAL when any leg has been exited and OPEN otherwise. Closed legs and
+ * positions record why they closed: TARGET, TRAIL or STOP_LOSS.
+ *
+ * Each exit action (worded by the `exit.<id>` template, see lib/templates.js) has:
+ * - `label`: what the forms call it
+ * - `from`: the leg states it can be applied to
+ * - `pct`: the percentage of the original quantity it exits, "REMAINING"
+ *   for whatever is still open, or "CUSTOM" for the signal's `quantityPct`
+ * - `reason`: what a leg closed by this action is closed by
+ * Only actions allowed for every selected leg are offered or accepted.
+ * Pure functions only, safe to import from client code.
+ */
+
+export const LEG_STATES = ["OPEN", "PARTIAL", "CLOSED"]
+export const CLOSE_REASONS = ["TARGET", "TRAIL", "STOP_LOSS"]
+
+export const EXIT_ACTIONS = {
+    book100: { label: "Book 100% profit", from: ["OPEN", "PARTIAL"], pct: "REMAINING", reason: "TARGET" },
+    book50: { label: "Book 50% profit", from: ["OPEN"], pct: 50, reason: "TARGET" },
+    bookpct: { label: "Book partial profit (custom %)", from: ["OPEN", "PARTIAL"], pct: "CUSTOM", reason: "TARGET" },
+    trailprofit: {
+        label: "Trailing SL triggered – book remaining profit",
+        from: ["PARTIAL"],
+        pct: "REMAINING",
+        reason: "TRAIL",
+    },
+    trailclose: {
+        label: "Trailing SL triggered – square off position",
+        from: ["OPEN", "PARTIAL"],
+        pct: "REMAINING",
+        reason: "TRAIL",
+    },
+    stoploss: { label: "Stop loss triggered", from: ["OPEN", "PARTIAL"], pct: "REMAINING", reason: "STOP_LOSS" },
+}
+
+export function legState(leg) {
+    if (leg.remainingPct === 0) return "CLOSED"
+    return leg.remainingPct < 100 ? "PARTIAL" : "OPEN"
+}
+
+export function positionState(position) {
+    const states = position.legs.map(legState)
+    if (states.every((s) => s === "CLOSED")) return "CLOSED"
+    return states.every((s) => s === "OPEN") ? "OPEN" : "PARTIAL"
+}
+
+/**
+ * Ids of the exit actions that can be applied to all of the given legs.
+ */
+export function allowedActions(legs) {
+    if (legs.length === 0) return []
+    return Object.keys(EXIT_ACTIONS).filter((id) => legs.every((leg) => EXIT_ACTIONS[id].from.includes(legState(leg))))
+}
+
+/**
+ * Percentage of the original quantity an action exits from a leg, or an
+ * error string when the action cannot be applied to it.
+ * `customPct` is the signal's `quantityPct`, used by "CUSTOM" actions.
+ */
+export function exitPct(actionId, leg, customPct) {
+    const action = EXIT_ACTIONS[actionId]
+    const name = `${leg.strike} ${leg.optionType}`
+    if (!action) return { error: "Select valid action type." }
+
+    const state = legState(leg)
+    if (state === "CLOSED") return { error: `${name} is already squared off` }
+    if (!action.from.includes(state)) {
+        return { error: `${name} is ${state === "OPEN" ? "not partially booked yet" : `only ${leg.remainingPct}% open`}` }
+    }
+
+    if (action.pct === "REMAINING") return { pct: leg.remainingPct }
+    const pct = action.pct === "CUSTOM" ? customPct : action.pct
+    if (!(pct > 0)) return { error: "Enter the percentage to book." }
+    if (pct > leg.remainingPct) return { error: `Only ${leg.remainingPct}% of ${name} is open` }
+    return { pct }
+}
@@ -0,0 +1,184 @@
+import { formatExpiry } from "./calendar"
+import { DEFAULT_FORMAT, formatLayout } from "./formatting"
+import { getStrategy } from "./strategies"
+import { DEFAULT_LANGUAGE, DEFAULT_TEMPLATES, fillTemplate, LANGUAGES } from "./templates"
+import { getUnderlying } from "./underlyings"
+
+/**
+ * Canonical Telegram text for every signal type, worded by a template
+ * library (see lib/templates.js) in each of its languages.
+ * Signals are first laid out as lines with headers and BUY / SELL / SL /
+ * target markers, which lib/formatting.js turns into plain text, Telegram
+ * MarkdownV2 or HTML.
+ * Pure functions only: the same module renders the preview and the message
+ * that is actually published, and it is safe to import from client code.
+ */
+
+const formatPrice = (n) => (Number.isInteger(n) ? String(n) : n.toFixed(2))
+
+const instrumentLabel = (symbol) => getUnderlying(symbol)?.label ?? symbol
+
+const line = (...parts) => ({ parts })
+
+const BLANK = line()
+
+// Titles may span several lines (a strategy title names the strategy below)
+const header = (text) => text.split("\n").map((title) => ({ header: true, parts: [title] }))
+
+function renderFreshTrade(signal, t) {
+    const and = ` ${t["common.and"]} `
+    const label = instrumentLabel(signal.underlying)
+    const strategy = getStrategy(signal.strategy)
+    const title = strategy?.named
+        ? fillTemplate(t["freshTrade.strategyTitle"], { strategy: strategy.label })
+        : t["freshTrade.title"]
+    const layout = [...header(title), BLANK]
+    signal.legs.forEach((leg, i) => {
+        if (i > 0) layout.push(line(t["freshTrade.legSeparator"]))
+        layout.push(
+            line(
+                { marker: leg.side },
+                fillTemplate(t["freshTrade.leg"], {
+                    side: t[`freshTrade.${leg.side.toLowerCase()}`],
+                    expiry: formatExpiry(signal.expiry),
+                    instrument: label,
+                    strike: leg.strike,
+                    optionType: leg.optionType,
+                    range: fillTemplate(t["freshTrade.range"], { low: formatPrice(leg.entryLow), high: formatPrice(leg.entryHigh) }),
+                })
+            )
+        )
+    })
+
+    const stopLosses = signal.legs
+        .filter((leg) => leg.stopLoss !== null)
+        .map((leg) =>
+            fillTemplate(t["freshTrade.stopLossItem"], { strike: leg.strike, optionType: leg.optionType, price: formatPrice(leg.stopLoss) })
+        )
+    if (stopLosses.length) {
+        layout.push(BLANK, line({ marker: "SL" }, fillTemplate(t["freshTrade.stopLoss"], { items: stopLosses.join(and) })))
+    }
+
+    const targets = signal.legs
+        .filter((leg) => leg.targets?.length)
+        .map((leg) =>
+            fillTemplate(t["freshTrade.targetItem"], {
+                strike: leg.strike,
+                optionType: leg.optionType,
+                prices: leg.targets.map(formatPrice).join(" / "),
+            })
+        )
+    if (targets.length) {
+        layout.push(BLANK, line({ marker: "TARGET" }, fillTemplate(t["freshTrade.target"], { items: targets.join(and) })))
+    }
+    return layout
+}
+
+function renderExit(signal, t) {
+    // Closing sells are listed before closing buys, as in the original calls
+    const parts = [...signal.legs]
+        .sort((a, b) => (a.side === b.side ? 0 : a.side === "SELL" ? -1 : 1))
+        .flatMap((leg, i) => [
+            ...(i > 0 ? [` ${t["common.and"]} `] : []),
+            { marker: leg.side },
+            fillTemplate(t["exit.leg"], {
+                side: t[`exit.${leg.side.toLowerCase()}`],
+                strike: leg.strike,
+                optionType: leg.optionType,
+                price: formatPrice(leg.exitPrice),
+            }),
+        ])
+    // `{pct}` is the share of the original quantity exited (the same on every leg)
+    const text = fillTemplate(t[`exit.${signal.action}`], { pct: signal.legs[0]?.quantityPct ?? "" })
+    return [...header(t["exit.header"]), line(`${text} `, ...parts)]
+}
+
+// A stop loss moved in the trade's favour is a trail; `side` is the closing side
+function describeStopLossChange(leg, t) {
+    const values = { strike: leg.strike, optionType: leg.optionType, price: formatPrice(leg.stopLoss) }
+    if (leg.previousStopLoss === null || leg.previousStopLoss === undefined) {
+        return fillTemplate(t["modifySl.set"], values)
+    }
+    const trailed = leg.side === "SELL" ? leg.stopLoss > leg.previousStopLoss : leg.stopLoss < leg.previousStopLoss
+    return fillTemplate(t[trailed ? "modifySl.trail" : "modifySl.modify"], values)
+}
+
+function renderStopLossChange(signal, t) {
+    return [...header(t["modifySl.header"]), ...signal.legs.map((leg) => line({ marker: "SL" }, describeStopLossChange(leg, t)))]
+}
+
+const signed = (n, format = formatPrice) => `${n > 0 ? "+" : n < 0 ? "-" : ""}${format(Math.abs(n))}`
+
+const formatRupees = (n) =>
+    `₹${n.toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const plural = (t, count, key) => fillTemplate(t[`performance.${key}${count === 1 ? "" : "s"}`], { count })
+
+function renderPerformanceSummary(signal, t) {
+    const { summary } = signal
+    const title =
+        signal.period === "WEEK"
+            ? fillTemplate(t["performance.weekTitle"], { from: formatExpiry(summary.from), to: formatExpiry(summary.to) })
+            : fillTemplate(t["performance.todayTitle"], { date: formatExpiry(summary.to) })
+
+    const lines = [
+        fillTemplate(t["performance.taken"], { count: summary.taken }),
+        fillTemplate(t["performance.closed"], {
+            count: summary.closed,
+            winners: plural(t, summary.winners, "winner"),
+            losers: plural(t, summary.losers, "loser"),
+        }),
+        fillTemplate(t["performance.netPoints"], { points: signed(summary.netPoints, (n) => n.toFixed(2)) }),
+        fillTemplate(t["performance.netPnl"], { rupees: signed(summary.netRupees, formatRupees) }),
+        "",
+    ]
+    if (summary.trades.length === 0) lines.push(t["performance.noExits"])
+    for (const trade of summary.trades) {
+        lines.push(
+            fillTemplate(t["performance.trade"], {
+                trade: trade.label,
+                points: signed(trade.points, (n) => n.toFixed(2)),
+                rupees: signed(trade.rupees, formatRupees),
+                returnPct: signed(trade.returnPct, (n) => n.toFixed(1)),
+            })
+        )
+    }
+    return [...header(title), BLANK, ...lines.map((text) => line(text))]
+}
+
+/**
+ * Lays out a validated, normalized signal (see lib/signals.js) with one
+ * language's templates (defaults to the built-in English wording).
+ */
+export function layoutSignal(signal, templates = DEFAULT_TEMPLATES[DEFAULT_LANGUAGE]) {
+    const t = { ...DEFAULT_TEMPLATES[DEFAULT_LANGUAGE], ...templates }
+    switch (signal.type) {
+        case "FRESH_TRADE":
+            return renderFreshTrade(signal, t)
+        case "SQUARE_OFF":
+        case "EXPIRY_TRADE":
+            return renderExit(signal, t)
+        case "MODIFY_SL":
+            return renderStopLossChange(signal, t)
+        case "IGNORE_ALERT":
+            return [line(t["ignore.text"])]
+        case "PERFORMANCE_SUMMARY":
+            return renderPerformanceSummary(signal, t)
+        default:
+            throw new Error(`No renderer for signal type ${signal.type}`)
+    }
+}
+
+/**
+ * Renders a signal to message text in one of the formats of lib/formatting.js.
+ */
+export function renderSignal(signal, templates, format = DEFAULT_FORMAT) {
+    return formatLayout(layoutSignal(signal, templates), format)
+}
+
+/**
+ * The layout in every language of a complete library: `{ en, hi, mr }`.
+ */
+export function layoutVariants(signal, templates) {
+    return Object.fromEntries(LANGUAGES.map(({ id }) => [id, layoutSignal(signal, templates[id])]))
+}
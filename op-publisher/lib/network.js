@@ -0,0 +1,19 @@
+/**
+ * Telling failed requests that never reached a service from those that may
+ * have. After a timeout or a dropped connection the service may already have
+ * acted on the request (posted the message, placed the orders), so sending
+ * it again could do it twice.
+ */
+
+// Connection failures: the request never reached the service
+const UNSENT_ERRORS = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "UND_ERR_CONNECT_TIMEOUT"]
+
+/**
+ * True when a thrown fetch error means the request never left this server.
+ */
+export const neverSent = (err) => UNSENT_ERRORS.includes(err.cause?.code ?? err.code)
+
+/**
+ * The message of a thrown fetch error with its cause ("fetch failed: connect ECONNREFUSED ...").
+ */
+export const errorMessage = (err) => (err.cause?.message ? `${err.message}: ${err.cause.message}` : err.message)
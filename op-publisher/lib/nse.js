@@ -0,0 +1,192 @@
+/**
+ * NSE market-data client.
+ *
+ * NSE's JSON API rejects requests that do not carry the cookies its website
+ * sets, so the client first loads the home page, keeps the cookies it gets
+ * and sends them with every API call. The cookies are refreshed after
+ * NSE_SESSION_TTL_SECONDS, or straight away when NSE answers 401/403.
+ *
+ * Responses are cached for MARKET_DATA_TTL_SECONDS. When NSE fails, the last
+ * good value is returned with `stale: true` instead of an error.
+ *
+ * NSE_BASE_URL points the client somewhere else, e.g. the local stub server
+ * in scripts/nse-stub.mjs.
+ */
+
+const BASE_URL = (process.env.NSE_BASE_URL || "https://www.nseindia.com").replace(/\/$/, "")
+const CACHE_TTL_MS = Number(process.env.MARKET_DATA_TTL_SECONDS || 30) * 1000
+const SESSION_TTL_MS = Number(process.env.NSE_SESSION_TTL_SECONDS || 300) * 1000
+const TIMEOUT_MS = Number(process.env.NSE_TIMEOUT_MS || 8000)
+
+const BROWSER_HEADERS = {
+    "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36",
+    "Accept-Language": "en-US,en;q=0.9",
+}
+
+let session = null // { cookie, expiresAt }
+let pendingSession = null
+const cache = new Map() // key -> { value, fetchedAt }
+
+export class NseError extends Error {
+    constructor(message, status = 502) {
+        super(message)
+        this.status = status
+    }
+}
+
+async function openSession() {
+    const res = await fetch(`${BASE_URL}/`, {
+        headers: { ...BROWSER_HEADERS, Accept: "text/html" },
+        cache: "no-store",
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+    })
+    if (!res.ok) throw new NseError(`NSE session request failed (${res.status})`)
+
+    const cookie = res.headers
+        .getSetCookie()
+        .map((c) => c.split(";")[0])
+        .join("; ")
+    if (!cookie) throw new NseError("NSE did not set session cookies")
+    return { cookie, expiresAt: Date.now() + SESSION_TTL_MS }
+}
+
+// Concurrent callers share one handshake
+async function getSession({ renew = false } = {}) {
+    if (!renew && session && session.expiresAt > Date.now()) return session
+    if (!pendingSession) {
+        pendingSession = openSession()
+            .then((s) => (session = s))
+            .finally(() => (pendingSession = null))
+    }
+    return pendingSession
+}
+
+function request(path, cookie) {
+    return fetch(`${BASE_URL}${path}`, {
+        headers: { ...BROWSER_HEADERS, Accept: "application/json", Referer: `${BASE_URL}/`, Cookie: cookie },
+        cache: "no-store",
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+    })
+}
+
+/**
+ * GETs an NSE API path ("/api/allIndices") with a valid session and returns
+ * the parsed JSON. Throws NseError on failure.
+ */
+export async function fetchNse(path) {
+    let res = await request(path, (await getSession()).cookie)
+    if (res.status === 401 || res.status === 403) {
+        res = await request(path, (await getSession({ renew: true })).cookie)
+    }
+    if (!res.ok) throw new NseError(`NSE returned ${res.status} for ${path}`)
+    try {
+        return await res.json()
+    } catch {
+        throw new NseError(`NSE returned invalid JSON for ${path}`)
+    }
+}
+
+/**
+ * Runs `load` at most once per TTL for a cache key.
+ * Resolves with `{ value, asOf, stale }`; `stale` is true when `load` failed
+ * and the last good value is served instead (with the failure in `error`).
+ * Throws when `load` fails and nothing was cached.
+ */
+export async function cached(key, load, ttlMs = CACHE_TTL_MS) {
+    const hit = cache.get(key)
+    if (hit && Date.now() - hit.fetchedAt < ttlMs) {
+        return { value: hit.value, asOf: new Date(hit.fetchedAt).toISOString(), stale: false }
+    }
+
+    try {
+        const value = await load()
+        const fetchedAt = Date.now()
+        cache.set(key, { value, fetchedAt })
+        return { value, asOf: new Date(fetchedAt).toISOString(), stale: false }
+    } catch (err) {
+        if (!hit) throw err
+        console.warn(`Serving stale ${key}: ${err.message}`)
+        return { value: hit.value, asOf: new Date(hit.fetchedAt).toISOString(), stale: true, error: err.message }
+    }
+}
+
+function parsePrice(raw, name) {
+    const lastPrice = parseFloat(raw)
+    if (isNaN(lastPrice)) throw new NseError(`NSE returned no price for ${name}`)
+    return lastPrice
+}
+
+/**
+ * Spot price of a registry underlying (see lib/underlyings.js):
+ * { lastPrice, asOf, stale, error? }.
+ */
+export async function getSpotPrice(underlying) {
+    const { quote } = underlying
+    if (!quote) throw new NseError(`No market data source for ${underlying.symbol}`, 404)
+
+    if (quote.type === "index") {
+        // One snapshot covers every index, so it is cached once for all of them
+        const { value, ...meta } = await cached("allIndices", () => fetchNse("/api/allIndices"))
+        const row = value?.data?.find((d) => d.index === quote.name || d.indexSymbol === quote.name)
+        return { lastPrice: parsePrice(row?.last, quote.name), ...meta }
+    }
+
+    const { value, ...meta } = await cached(`equity:${quote.symbol}`, async () => {
+        const data = await fetchNse(`/api/quote-equity?symbol=${encodeURIComponent(quote.symbol)}`)
+        return parsePrice(data?.priceInfo?.lastPrice, quote.symbol)
+    })
+    return { lastPrice: value, ...meta }
+}
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+
+// "27-Oct-2026" -> "2026-10-27"
+function isoFromNseDate(date) {
+    const [day, month, year] = String(date).split("-")
+    const index = MONTHS.indexOf(month)
+    if (index < 0) return null
+    return `${year}-${String(index + 1).padStart(2, "0")}-${day.padStart(2, "0")}`
+}
+
+function toQuote(side) {
+    if (!side) return null
+    return {
+        ltp: side.lastPrice ?? null,
+        bid: side.bidprice ?? null,
+        ask: side.askPrice ?? null,
+        oi: side.openInterest ?? null,
+        oiChange: side.changeinOpenInterest ?? null,
+    }
+}
+
+/**
+ * Option chain of an underlying for one expiry (the nearest when omitted):
+ * { underlyingValue, expiry, expiries, strikes: [{ strike, CE, PE }], asOf, stale }
+ * where CE/PE are { ltp, bid, ask, oi, oiChange } or null when not traded.
+ */
+export async function getOptionChain(underlying, expiry) {
+    const { quote } = underlying
+    if (!quote) throw new NseError(`No market data source for ${underlying.symbol}`, 404)
+
+    const path =
+        quote.type === "index"
+            ? `/api/option-chain-indices?symbol=${encodeURIComponent(underlying.symbol)}`
+            : `/api/option-chain-equities?symbol=${encodeURIComponent(quote.symbol)}`
+    const { value, ...meta } = await cached(`chain:${underlying.symbol}`, async () => {
+        const data = await fetchNse(path)
+        if (!Array.isArray(data?.records?.data)) throw new NseError(`NSE returned no option chain for ${underlying.symbol}`)
+        return data.records
+    })
+
+    const expiries = (value.expiryDates ?? []).map(isoFromNseDate).filter(Boolean)
+    const selected = expiry || expiries[0]
+    if (!expiries.includes(selected)) {
+        throw new NseError(`${selected} is not a listed ${underlying.symbol} expiry`, 404)
+    }
+
+    const strikes = value.data
+        .filter((row) => isoFromNseDate(row.expiryDate) === selected)
+        .map((row) => ({ strike: row.strikePrice, CE: toQuote(row.CE), PE: toQuote(row.PE) }))
+        .sort((a, b) => a.strike - b.strike)
+    return { underlyingValue: value.underlyingValue ?? null, expiry: selected, expiries, strikes, ...meta }
+}
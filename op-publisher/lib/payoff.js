@@ -0,0 +1,181 @@
+import { formatExpiry } from "./calendar"
+import { createImage, drawLine, drawText, encodePng, fillRect, textWidth } from "./raster"
+import { getStrategy } from "./strategies"
+import { getUnderlying } from "./underlyings"
+
+/**
+ * Payoff at expiry of a Fresh Trade, and its chart as a PNG.
+ *
+ * As in lib/pnl.js, each leg is entered at the middle of its entry range and
+ * traded one lot at the underlying's lot size. At expiry an option is worth
+ * its intrinsic value, so the P&L at an underlying price is the sum over the
+ * legs of (intrinsic value - entry) x lot size, negated for a SELL leg.
+ * Only Fresh Trades carry entry prices, so only they have a payoff.
+ */
+
+const entryPrice = (leg) => (leg.entryLow + (leg.entryHigh ?? leg.entryLow)) / 2
+
+const intrinsic = (leg, price) => Math.max(0, leg.optionType === "CE" ? price - leg.strike : leg.strike - price)
+
+const direction = (leg) => (leg.side === "BUY" ? 1 : -1)
+
+const lotSizeOf = (signal) => getUnderlying(signal.underlying)?.lotSize ?? 1
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+/**
+ * Expiry P&L in rupees of a Fresh Trade at one underlying price.
+ */
+export function payoffAt(signal, price) {
+    const lotSize = lotSizeOf(signal)
+    return signal.legs.reduce((sum, leg) => sum + (intrinsic(leg, price) - entryPrice(leg)) * direction(leg) * lotSize, 0)
+}
+
+/**
+ * The shape of a Fresh Trade's payoff:
+ * { from, to, breakevens, maxProfit, maxLoss }, `from`-`to` being the
+ * underlying prices worth charting. An unlimited maximum is null.
+ */
+export function payoffProfile(signal) {
+    const strikes = signal.legs.map((leg) => leg.strike)
+    const low = Math.min(...strikes)
+    const high = Math.max(...strikes)
+    // As much on each side as the strikes span, and at least ten strikes
+    const margin = Math.max(high - low, 10 * (getUnderlying(signal.underlying)?.strikeStep ?? 50))
+    const from = Math.max(0, low - margin)
+    const to = high + margin
+
+    // The payoff is straight between strikes, so its extremes and zero
+    // crossings are found from its value at the strikes and the ends
+    const prices = [...new Set([0, from, ...strikes, to])].sort((a, b) => a - b)
+    const values = prices.map((price) => payoffAt(signal, price))
+    // Above the highest strike only calls move the P&L, by this much per point
+    const slope = signal.legs.filter((leg) => leg.optionType === "CE").reduce((sum, leg) => sum + direction(leg), 0) * lotSizeOf(signal)
+
+    const breakevens = []
+    values.forEach((value, i) => {
+        if (value === 0) breakevens.push(prices[i])
+        else if (i > 0 && values[i - 1] * value < 0) {
+            breakevens.push(prices[i - 1] + ((prices[i] - prices[i - 1]) * values[i - 1]) / (values[i - 1] - value))
+        }
+    })
+    const last = values[values.length - 1]
+    if (slope && last && Math.sign(slope) !== Math.sign(last)) breakevens.push(to - last / slope)
+
+    return {
+        from,
+        to,
+        breakevens: breakevens.map(round2),
+        maxProfit: slope > 0 ? null : round2(Math.max(...values)),
+        maxLoss: slope < 0 ? null : round2(Math.min(...values)),
+    }
+}
+
+const WIDTH = 800
+const HEIGHT = 450
+const PLOT = { left: 90, right: 770, top: 80, bottom: 360 }
+
+const COLORS = {
+    text: [31, 41, 55],
+    muted: [107, 114, 128],
+    grid: [229, 231, 235],
+    axis: [156, 163, 175],
+    curve: [37, 99, 235],
+    profit: [22, 163, 74],
+    loss: [220, 38, 38],
+}
+
+// Rupees the way traders say them: +12.5K, -1.2L, +2CR
+function compactRupees(n) {
+    const abs = Math.abs(n)
+    const [value, unit] = abs >= 1e7 ? [abs / 1e7, "CR"] : abs >= 1e5 ? [abs / 1e5, "L"] : abs >= 1e3 ? [abs / 1e3, "K"] : [abs, ""]
+    const sign = n > 0 ? "+" : n < 0 ? "-" : ""
+    return `${sign}${Number(value.toFixed(unit && value < 100 ? 1 : 0))}${unit}`
+}
+
+// A round tick interval giving about `count` ticks over `range`
+function tickStep(range, count) {
+    const raw = range / count
+    const magnitude = 10 ** Math.floor(Math.log10(raw))
+    return [1, 2, 5, 10].map((m) => m * magnitude).find((step) => step >= raw)
+}
+
+function chartTitle(signal) {
+    const strategy = getStrategy(signal.strategy)
+    const instrument = `${getUnderlying(signal.underlying)?.label ?? signal.underlying} ${formatExpiry(signal.expiry)}`
+    return strategy?.named ? `${strategy.label} - ${instrument}` : instrument
+}
+
+/**
+ * The payoff chart of a Fresh Trade as a PNG buffer: P&L at expiry against
+ * the underlying price, profit shaded green and loss red, with the strikes,
+ * breakevens and maximum profit and loss.
+ */
+export function payoffChart(signal) {
+    const profile = payoffProfile(signal)
+    const image = createImage(WIDTH, HEIGHT)
+
+    // Sample every pixel column; the range always includes zero
+    const columns = PLOT.right - PLOT.left
+    const priceAt = (column) => profile.from + ((profile.to - profile.from) * column) / columns
+    const values = Array.from({ length: columns + 1 }, (_, column) => payoffAt(signal, priceAt(column)))
+    let min = Math.min(0, ...values)
+    let max = Math.max(0, ...values)
+    if (max === min) [min, max] = [min - 1000, max + 1000]
+    const padding = (max - min) * 0.08
+    min -= padding
+    max += padding
+    const yOf = (value) => PLOT.bottom - ((value - min) / (max - min)) * (PLOT.bottom - PLOT.top)
+    const xOf = (price) => PLOT.left + ((price - profile.from) / (profile.to - profile.from)) * columns
+    const zero = yOf(0)
+
+    drawText(image, chartTitle(signal), PLOT.left, 20, COLORS.text, { scale: 3 })
+    drawText(image, "Payoff at expiry, P&L in Rs, 1 lot per leg", PLOT.left, 50, COLORS.muted, { scale: 2 })
+
+    const step = tickStep(max - min, 5)
+    for (let tick = Math.ceil(min / step) * step; tick <= max; tick += step) {
+        fillRect(image, PLOT.left, Math.round(yOf(tick)), columns, 1, COLORS.grid)
+        drawText(image, compactRupees(tick), PLOT.left - 10, Math.round(yOf(tick)) - 7, COLORS.muted, { scale: 2, align: "right" })
+    }
+
+    values.forEach((value, column) => {
+        const y = yOf(value)
+        fillRect(image, PLOT.left + column, Math.min(y, zero), 1, Math.abs(y - zero), value >= 0 ? COLORS.profit : COLORS.loss, 0.15)
+    })
+
+    // Strikes as dashed lines, labelled unless they would overlap
+    let labelsEnd = -Infinity
+    for (const strike of [...new Set(signal.legs.map((leg) => leg.strike))].sort((a, b) => a - b)) {
+        const x = Math.round(xOf(strike))
+        for (let y = PLOT.top; y < PLOT.bottom; y += 8) fillRect(image, x, y, 1, 4, COLORS.axis)
+        const label = String(strike)
+        const left = x - textWidth(label, 2) / 2
+        if (left > labelsEnd + 8) {
+            drawText(image, label, x, PLOT.bottom + 10, COLORS.text, { scale: 2, align: "center" })
+            labelsEnd = left + textWidth(label, 2)
+        }
+    }
+
+    drawLine(image, PLOT.left, zero, PLOT.right, zero, COLORS.axis, 1.5)
+    drawLine(image, PLOT.left, PLOT.top, PLOT.left, PLOT.bottom, COLORS.axis, 1.5)
+    for (let column = 2; column <= columns; column += 2) {
+        drawLine(image, PLOT.left + column - 2, yOf(values[column - 2]), PLOT.left + column, yOf(values[column]), COLORS.curve, 3)
+    }
+    for (const breakeven of profile.breakevens) {
+        if (breakeven >= profile.from && breakeven <= profile.to) drawLine(image, xOf(breakeven), zero, xOf(breakeven), zero, COLORS.text, 8)
+    }
+
+    const breakevens = profile.breakevens.length ? profile.breakevens.map((b) => Math.round(b)).join(" / ") : "none"
+    drawText(image, `Breakeven ${breakevens}`, PLOT.left, 395, COLORS.text, { scale: 2 })
+    const extremes = [
+        ["Max profit ", profile.maxProfit, COLORS.profit],
+        ["Max loss ", profile.maxLoss, COLORS.loss],
+    ]
+    extremes.forEach(([label, value, color], i) => {
+        const x = PLOT.left + i * 320
+        drawText(image, label, x, 420, COLORS.text, { scale: 2 })
+        drawText(image, value === null ? "unlimited" : compactRupees(value), x + textWidth(label, 2), 420, color, { scale: 2 })
+    })
+
+    return encodePng(image)
+}
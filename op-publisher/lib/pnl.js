@@ -0,0 +1,134 @@
+import { formatExpiry, todayInExchange, weekStart } from "./calendar"
+import { readSignals } from "./ledger"
+import { buildPositions } from "./positions"
+import { SUMMARY_PERIODS } from "./signals"
+import { getUnderlying } from "./underlyings"
+
+/**
+ * Realized P&L of positions, computed from the prices in their signals.
+ *
+ * - A leg is entered at the middle of its published entry range.
+ * - Points are per unit of premium: (exit - entry) for a BUY leg and
+ *   (entry - exit) for a SELL leg, weighted by the share of the leg each exit
+ *   booked. A trade's points are the sum over its legs.
+ * - Rupee P&L assumes one lot per leg at the underlying's current lot size.
+ * - The return is the rupee P&L over the premium of the booked quantity.
+ *
+ * Only exits are counted (realized P&L); open quantity is ignored.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100
+
+// Exchange (IST) date of a timestamp
+const exchangeDate = (at) => todayInExchange(Date.parse(at))
+
+const entryPrice = (leg) => (leg.entryLow + (leg.entryHigh ?? leg.entryLow)) / 2
+
+/**
+ * Realized result of one position leg, optionally only for exits whose
+ * exchange date is within [from, to].
+ */
+export function legPnl(leg, lotSize, { from, to } = {}) {
+    const entry = entryPrice(leg)
+    const direction = leg.side === "BUY" ? 1 : -1
+    const exits = leg.exits.filter((exit) => {
+        const date = exchangeDate(exit.at)
+        return (!from || date >= from) && (!to || date <= to)
+    })
+
+    let points = 0
+    let bookedPct = 0
+    for (const exit of exits) {
+        const share = (exit.quantityPct ?? 100) / 100
+        points += (exit.price - entry) * direction * share
+        bookedPct += exit.quantityPct ?? 100
+    }
+    const capital = entry * (bookedPct / 100) * lotSize
+    const rupees = points * lotSize
+    return {
+        points: round2(points),
+        rupees: round2(rupees),
+        returnPct: capital ? round2((rupees / capital) * 100) : 0,
+        bookedPct,
+        capital: round2(capital),
+    }
+}
+
+/**
+ * Realized result of a position:
+ * { id, underlying, label, points, rupees, returnPct, legs: [legPnl...] }.
+ */
+export function positionPnl(position, range) {
+    const lotSize = getUnderlying(position.underlying)?.lotSize ?? 1
+    const legs = position.legs.map((leg) => legPnl(leg, lotSize, range))
+    const points = legs.reduce((sum, l) => sum + l.points, 0)
+    const rupees = legs.reduce((sum, l) => sum + l.rupees, 0)
+    const capital = legs.reduce((sum, l) => sum + l.capital, 0)
+    return {
+        id: position.id,
+        underlying: position.underlying,
+        label: describeTrade(position),
+        status: position.status,
+        closedReason: position.closedReason,
+        openedAt: position.openedAt,
+        closedAt: position.closedAt,
+        points: round2(points),
+        rupees: round2(rupees),
+        returnPct: capital ? round2((rupees / capital) * 100) : 0,
+        booked: legs.some((l) => l.bookedPct > 0),
+        legs,
+    }
+}
+
+function describeTrade(position) {
+    const label = getUnderlying(position.underlying)?.label ?? position.underlying
+    const legs = position.legs.map((leg) => `${leg.side} ${leg.strike} ${leg.optionType}`).join(" / ")
+    return `${label} ${formatExpiry(position.expiry)} ${legs}`
+}
+
+/**
+ * Date range of a summary period in exchange time: today, or Monday to today.
+ */
+export function periodRange(period, now = Date.now()) {
+    const today = todayInExchange(now)
+    return { from: period === "WEEK" ? weekStart(today) : today, to: today }
+}
+
+/**
+ * Performance over a date range:
+ * - `taken`: positions opened in the range
+ * - `trades`: positions with exits booked in the range, with the P&L of those exits
+ * - `winners` / `losers`: trades closed in the range with positive / negative points
+ * - `netPoints` / `netRupees`: P&L of every exit booked in the range
+ */
+export function summarize(positions, { from, to }) {
+    const inRange = (at) => {
+        const date = exchangeDate(at)
+        return date >= from && date <= to
+    }
+    const trades = positions.map((p) => positionPnl(p, { from, to })).filter((t) => t.booked)
+    const closed = positions
+        .filter((p) => p.status === "CLOSED" && inRange(p.closedAt))
+        .map((p) => positionPnl(p))
+
+    return {
+        from,
+        to,
+        taken: positions.filter((p) => inRange(p.openedAt)).length,
+        closed: closed.length,
+        winners: closed.filter((t) => t.points > 0).length,
+        losers: closed.filter((t) => t.points < 0).length,
+        netPoints: round2(trades.reduce((sum, t) => sum + t.points, 0)),
+        netRupees: round2(trades.reduce((sum, t) => sum + t.rupees, 0)),
+        trades,
+    }
+}
+
+/**
+ * Summary for one of SUMMARY_PERIODS ("TODAY", "WEEK") from the ledger.
+ */
+export async function performanceSummary(period, now = Date.now()) {
+    if (!SUMMARY_PERIODS.includes(period)) throw new Error(`Unknown period: ${period}`)
+    const positions = [...buildPositions(await readSignals()).values()]
+    return { period, ...summarize(positions, periodRange(period, now)) }
+}
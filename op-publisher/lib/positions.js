@@ -0,0 +1,196 @@
+import { readSignals } from "./ledger"
+import { EXIT_ACTIONS, exitPct, positionState } from "./lifecycle"
+import { EXIT_TYPES } from "./signals"
+import { statesPct } from "./templates"
+
+/**
+ * Open positions are not stored separately: they are rebuilt by replaying
+ * the ledger. Every Fresh Trade opens a position (its id is the Fresh Trade
+ * signal id) and every Square Off / Expiry Trade that references it through
+ * `positionId` reduces the remaining quantity of the legs it exits.
+ * Modify Stop Loss signals move a leg's `stopLoss`; every level the leg has
+ * had is kept in `stopLossHistory`, oldest first.
+ * Retracted signals are skipped, so a retraction is reflected immediately.
+ * So are signals an Ignore Alert points at through `refersTo`: subscribers
+ * were told to disregard them, so an ignored Fresh Trade opens no position
+ * (and its follow-ups find none) and an ignored exit or stop-loss change
+ * does not apply.
+ * `status` follows the lifecycle in lib/lifecycle.js (OPEN, PARTIAL, CLOSED).
+ */
+
+const opposite = (side) => (side === "BUY" ? "SELL" : "BUY")
+
+function openPosition(signal) {
+    return {
+        id: signal.id,
+        underlying: signal.underlying,
+        expiry: signal.expiry,
+        strategy: signal.strategy ?? null,
+        sender: signal.sender,
+        openedAt: signal.createdAt,
+        closedAt: null,
+        closedReason: null,
+        status: "OPEN",
+        legs: signal.legs.map((leg) => ({
+            strike: leg.strike,
+            optionType: leg.optionType,
+            side: leg.side,
+            entryLow: leg.entryLow,
+            entryHigh: leg.entryHigh,
+            stopLoss: leg.stopLoss,
+            stopLossHistory:
+                leg.stopLoss === null ? [] : [{ stopLoss: leg.stopLoss, signalId: signal.id, at: signal.createdAt }],
+            targets: leg.targets ?? [],
+            remainingPct: 100,
+            closedReason: null,
+            exits: [],
+        })),
+    }
+}
+
+function applyExit(position, signal) {
+    const reason = EXIT_ACTIONS[signal.action]?.reason ?? null
+    for (const exit of signal.legs) {
+        const leg = position.legs[exit.legIndex]
+        if (!leg) continue
+        leg.remainingPct = Math.max(0, leg.remainingPct - (exit.quantityPct ?? leg.remainingPct))
+        if (leg.remainingPct === 0) leg.closedReason = reason
+        leg.exits.push({
+            signalId: signal.id,
+            action: signal.action,
+            price: exit.exitPrice,
+            quantityPct: exit.quantityPct,
+            at: signal.createdAt,
+        })
+    }
+    position.status = positionState(position)
+    if (position.status === "CLOSED") {
+        position.closedAt = signal.createdAt
+        position.closedReason = reason
+    }
+}
+
+function applyStopLoss(position, signal) {
+    for (const change of signal.legs) {
+        const leg = position.legs[change.legIndex]
+        if (!leg) continue
+        leg.stopLoss = change.stopLoss
+        leg.stopLossHistory.push({ stopLoss: change.stopLoss, signalId: signal.id, at: signal.createdAt })
+    }
+}
+
+/**
+ * Replays signals (oldest first) into positions keyed by id.
+ */
+export function buildPositions(signals) {
+    const live = signals.filter((s) => s.status !== "RETRACTED")
+    const ignored = new Set(live.filter((s) => s.type === "IGNORE_ALERT" && s.refersTo).map((s) => s.refersTo))
+    const positions = new Map()
+    for (const signal of live) {
+        if (ignored.has(signal.id)) continue
+        if (signal.type === "FRESH_TRADE") {
+            positions.set(signal.id, openPosition(signal))
+        } else if (EXIT_TYPES.includes(signal.type) && positions.has(signal.positionId)) {
+            applyExit(positions.get(signal.positionId), signal)
+        } else if (signal.type === "MODIFY_SL" && positions.has(signal.positionId)) {
+            applyStopLoss(positions.get(signal.positionId), signal)
+        }
+    }
+    return positions
+}
+
+/**
+ * `status` "OPEN" lists every position that still has quantity open,
+ * partially booked ones included.
+ */
+export async function listPositions({ status } = {}) {
+    const positions = buildPositions(await readSignals())
+    const matches = (p) => (status === "OPEN" ? p.status !== "CLOSED" : p.status === status)
+    return [...positions.values()]
+        .filter((p) => !status || matches(p))
+        .sort((a, b) => b.openedAt.localeCompare(a.openedAt))
+}
+
+/**
+ * Checks a normalized exit signal against the position it targets and fills in the
+ * leg details from the position itself, so a square-off can only ever close
+ * something that was actually opened.
+ * Returns `{ error }` or `{ signal }` with the completed exit signal.
+ */
+async function loadOpenPosition(positionId) {
+    const position = buildPositions(await readSignals()).get(positionId)
+    if (!position) return { error: "Position not found" }
+    if (position.status === "CLOSED") return { error: "Position is already closed" }
+    return { position }
+}
+
+export async function prepareExit(signal) {
+    if (!signal.positionId) return { error: "Select the open position to square off" }
+
+    const { position, error } = await loadOpenPosition(signal.positionId)
+    if (error) return { error }
+
+    const legs = []
+    for (const exit of signal.legs) {
+        const leg = position.legs[exit.legIndex]
+        if (!leg) return { error: "Unknown leg for this position" }
+        if (legs.some((l) => l.legIndex === exit.legIndex)) return { error: "Each leg can only be exited once per message" }
+        if (exit.exitPrice === null) return { error: `Enter exit price for ${leg.strike} ${leg.optionType}` }
+        const { pct, error: actionError } = exitPct(signal.action, leg, signal.quantityPct)
+        if (actionError) return { error: actionError }
+        legs.push({
+            legIndex: exit.legIndex,
+            strike: leg.strike,
+            optionType: leg.optionType,
+            side: opposite(leg.side),
+            exitPrice: exit.exitPrice,
+            quantityPct: pct,
+        })
+    }
+    // Messages that state a percentage state one for all the legs they exit
+    if (statesPct(signal.action) && new Set(legs.map((l) => l.quantityPct)).size > 1) {
+        return { error: "The selected legs have different open quantities; exit them separately" }
+    }
+
+    return {
+        signal: {
+            ...signal,
+            underlying: position.underlying,
+            expiry: position.expiry,
+            legs,
+        },
+    }
+}
+
+/**
+ * Checks a normalized Modify Stop Loss signal against its position, like
+ * `prepareExit`. Legs get the contract details, the side of the stop order
+ * (the closing side) and the `previousStopLoss` being replaced.
+ */
+export async function prepareStopLossChange(signal) {
+    if (!signal.positionId) return { error: "Select the open position to modify" }
+
+    const { position, error } = await loadOpenPosition(signal.positionId)
+    if (error) return { error }
+
+    const legs = []
+    for (const change of signal.legs) {
+        const leg = position.legs[change.legIndex]
+        if (!leg) return { error: "Unknown leg for this position" }
+        if (legs.some((l) => l.legIndex === change.legIndex)) return { error: "Each leg can only be changed once per message" }
+        if (leg.remainingPct === 0) return { error: `${leg.strike} ${leg.optionType} is already squared off` }
+        if (change.stopLoss === leg.stopLoss) {
+            return { error: `Stop loss for ${leg.strike} ${leg.optionType} is already ${leg.stopLoss}` }
+        }
+        legs.push({
+            legIndex: change.legIndex,
+            strike: leg.strike,
+            optionType: leg.optionType,
+            side: opposite(leg.side),
+            stopLoss: change.stopLoss,
+            previousStopLoss: leg.stopLoss,
+        })
+    }
+
+    return { signal: { ...signal, underlying: position.underlying, expiry: position.expiry, legs } }
+}
@@ -0,0 +1,143 @@
+import { audited } from "./audit"
+import { sendToAutomation } from "./automation"
+import { fanOut, loadChannels } from "./channels"
+import { getSignal, recordSignal } from "./ledger"
+import { currentLibrary, getLibrary } from "./library"
+import { formatLayout } from "./formatting"
+import { layoutVariants } from "./messages"
+import { payoffChart } from "./payoff"
+import { performanceSummary } from "./pnl"
+import { prepareExit, prepareStopLossChange } from "./positions"
+import { EXIT_TYPES, normalizeSignal, validateSignal } from "./signals"
+import { DEFAULT_LANGUAGE } from "./templates"
+
+/**
+ * Validates a signal payload and renders it in every language with the
+ * current template library, or with `templateVersion` (see lib/library.js).
+ * `text` is the canonical English message, `variants` maps each language
+ * to its plain text and `layouts` to the layout channels format their
+ * message from (see lib/formatting.js). Shared by the preview and the
+ * publish endpoints so both always agree.
+ * `chart` is the payoff chart PNG when the signal asks for one, else null.
+ * Resolves with `{ signal, text, variants, layouts, chart }` or `{ error, status }`.
+ */
+export async function prepareSignal(input, { templateVersion } = {}) {
+    const library = templateVersion === undefined ? await currentLibrary() : await getLibrary(templateVersion)
+    if (!library) return { error: `Template version ${templateVersion} not found`, status: 404 }
+
+    const validationError = validateSignal(input)
+    if (validationError) return { error: validationError, status: 400 }
+
+    let signal = normalizeSignal(input)
+
+    // Exits must target an open position; refuse before anything is published
+    if (EXIT_TYPES.includes(signal.type)) {
+        const exit = await prepareExit(signal)
+        if (exit.error) return { error: exit.error, status: 409 }
+        signal = exit.signal
+    }
+    if (signal.type === "MODIFY_SL") {
+        const change = await prepareStopLossChange(signal)
+        if (change.error) return { error: change.error, status: 409 }
+        signal = change.signal
+    }
+    // The summary is part of the signal, so the ledger keeps the figures that were published
+    if (signal.type === "PERFORMANCE_SUMMARY") {
+        signal = { ...signal, summary: await performanceSummary(signal.period) }
+    }
+
+    if (signal.refersTo && !(await getSignal(signal.refersTo))) {
+        return { error: "The alert this message refers to was not found", status: 404 }
+    }
+
+    signal = { ...signal, templateVersion: library.version }
+    const layouts = layoutVariants(signal, library.templates)
+    const variants = Object.fromEntries(Object.entries(layouts).map(([language, layout]) => [language, formatLayout(layout)]))
+    const chart = signal.payoffChart ? payoffChart(signal) : null
+    return { signal, text: variants[DEFAULT_LANGUAGE], variants, layouts, chart }
+}
+
+/**
+ * Message ids of the original signal per channel, so follow-ups can be
+ * posted as replies to it in every channel it was delivered to.
+ */
+async function replyTargets(signal) {
+    if (!signal.refersTo) return {}
+    const original = await getSignal(signal.refersTo)
+    return Object.fromEntries(
+        (original?.deliveries ?? [])
+            .filter((d) => d.ok && d.messageId)
+            .map((d) => [d.channelId, d.messageId])
+    )
+}
+
+/**
+ * Renders a signal, sends its orders to the broker automation (see
+ * lib/automation.js), fans it out to every configured channel in the
+ * channel's language and format (with the payoff chart where asked for) and records it with the automation's acknowledgement
+ * and the per-channel delivery results. Every attempt goes to the audit log.
+ * `approval` ({ draftId, by, comment, at }) is set when a reviewer released
+ * the signal (see lib/drafts.js); it is then rendered with the
+ * `templateVersion` the reviewer saw. `requestId` identifies the call to the
+ * automation, so a repeated publish of the same call is recognised there.
+ * Once the automation has taken the orders the signal is recorded even if
+ * no channel received it: the broker holds the position, so publishing it
+ * again would place the orders twice. `warning` then says so. When the
+ * automation did not answer, the error has `unknown: true`: the orders may
+ * have been placed, so the call must not simply be sent again.
+ * Resolves with `{ signal, text, automation, deliveries, record, warning? }` or
+ * `{ error, status, text?, automation?, deliveries?, unknown? }`.
+ */
+export function publishSignal(input, { sender, approval, templateVersion, requestId }) {
+    return audited({ action: "PUBLISH", user: sender, payload: input, approvedBy: approval?.by }, () =>
+        sendSignal(input, { sender, approval, templateVersion, requestId })
+    )
+}
+
+async function sendSignal(input, { sender, approval, templateVersion, requestId }) {
+    const prepared = await prepareSignal(input, { templateVersion })
+    if (prepared.error) return prepared
+    const { signal, text, variants, layouts, chart } = prepared
+
+    // A broken channel configuration must stop the publish before any order is placed
+    let channels
+    try {
+        channels = loadChannels()
+    } catch (err) {
+        return { error: `Channel configuration is invalid: ${err.message}`, status: 500, text }
+    }
+
+    // Orders go to the broker automation first; subscribers only get calls it took
+    const automation = await sendToAutomation(signal, { requestId })
+    if (automation?.unknown) {
+        return {
+            error: `${automation.error}. It may have taken the orders: check the automation before sending this again.`,
+            status: 504,
+            unknown: true,
+            text,
+            automation,
+        }
+    }
+    if (automation && !automation.ok) {
+        return { error: `Automation failed: ${automation.error}. Message skipped to avoid confusion.`, status: 502, text, automation }
+    }
+
+    const message = { text, variants, layouts, photo: chart, signal, replyTo: await replyTargets(signal) }
+    const deliveries = await fanOut(message, channels)
+    const delivered = deliveries.some((d) => d.ok)
+    if (!delivered && !automation?.ok) {
+        return { error: "Message could not be delivered to any channel", status: 502, text, automation, deliveries }
+    }
+
+    // The message or the orders are already out, so a ledger failure must
+    // not turn this into an error the publisher would retry.
+    let record = null
+    try {
+        record = await recordSignal({ signal, text, variants, layouts, sender, deliveries, approval, automation })
+    } catch (ledgerErr) {
+        console.error("Failed to record signal in ledger:", ledgerErr)
+    }
+
+    const warning = delivered ? undefined : "The automation took the orders but no channel received the message"
+    return { signal, text, automation, deliveries, record, warning }
+}
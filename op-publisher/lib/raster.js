@@ -0,0 +1,189 @@
+import { deflateSync } from "zlib"
+
+/**
+ * Minimal RGBA raster for server-drawn images (the payoff chart in
+ * lib/payoff.js): filled rectangles, antialiased lines, a 5x7 bitmap font
+ * and a PNG encoder, so no canvas package or image service is needed.
+ * Colours are [r, g, b] arrays; coordinates are pixels from the top left.
+ */
+
+// 5x7 glyphs, one string of rows per character; text is drawn upper-case
+const GLYPHS = {
+    0: ".###. #...# #..## #.#.# ##..# #...# .###.",
+    1: "..#.. .##.. ..#.. ..#.. ..#.. ..#.. .###.",
+    2: ".###. #...# ....# ...#. ..#.. .#... #####",
+    3: "##### ...#. ..#.. ...#. ....# #...# .###.",
+    4: "...#. ..##. .#.#. #..#. ##### ...#. ...#.",
+    5: "##### #.... ####. ....# ....# #...# .###.",
+    6: "..##. .#... #.... ####. #...# #...# .###.",
+    7: "##### ....# ...#. ..#.. .#... .#... .#...",
+    8: ".###. #...# #...# .###. #...# #...# .###.",
+    9: ".###. #...# #...# .#### ....# ...#. .##..",
+    A: ".###. #...# #...# ##### #...# #...# #...#",
+    B: "####. #...# #...# ####. #...# #...# ####.",
+    C: ".###. #...# #.... #.... #.... #...# .###.",
+    D: "###.. #..#. #...# #...# #...# #..#. ###..",
+    E: "##### #.... #.... ####. #.... #.... #####",
+    F: "##### #.... #.... ####. #.... #.... #....",
+    G: ".###. #...# #.... #.### #...# #...# .####",
+    H: "#...# #...# #...# ##### #...# #...# #...#",
+    I: ".###. ..#.. ..#.. ..#.. ..#.. ..#.. .###.",
+    J: "..### ...#. ...#. ...#. ...#. #..#. .##..",
+    K: "#...# #..#. #.#.. ##... #.#.. #..#. #...#",
+    L: "#.... #.... #.... #.... #.... #.... #####",
+    M: "#...# ##.## #.#.# #.#.# #...# #...# #...#",
+    N: "#...# #...# ##..# #.#.# #..## #...# #...#",
+    O: ".###. #...# #...# #...# #...# #...# .###.",
+    P: "####. #...# #...# ####. #.... #.... #....",
+    Q: ".###. #...# #...# #...# #.#.# #..#. .##.#",
+    R: "####. #...# #...# ####. #.#.. #..#. #...#",
+    S: ".#### #.... #.... .###. ....# ....# ####.",
+    T: "##### ..#.. ..#.. ..#.. ..#.. ..#.. ..#..",
+    U: "#...# #...# #...# #...# #...# #...# .###.",
+    V: "#...# #...# #...# #...# #...# .#.#. ..#..",
+    W: "#...# #...# #...# #.#.# #.#.# #.#.# .#.#.",
+    X: "#...# #...# .#.#. ..#.. .#.#. #...# #...#",
+    Y: "#...# #...# .#.#. ..#.. ..#.. ..#.. ..#..",
+    Z: "##### ....# ...#. ..#.. .#... #.... #####",
+    "-": "..... ..... ..... ##### ..... ..... .....",
+    "+": "..... ..#.. ..#.. ##### ..#.. ..#.. .....",
+    ".": "..... ..... ..... ..... ..... .##.. .##..",
+    ",": "..... ..... ..... ..... .##.. ..#.. .#...",
+    ":": "..... .##.. .##.. ..... .##.. .##.. .....",
+    "/": "..... ....# ...#. ..#.. .#... #.... .....",
+    "(": "...#. ..#.. .#... .#... .#... ..#.. ...#.",
+    ")": ".#... ..#.. ...#. ...#. ...#. ..#.. .#...",
+    "%": "##... ##..# ...#. ..#.. .#... #..## ...##",
+    "&": ".##.. #..#. #.#.. .#... #.#.# #..#. .##.#",
+}
+
+const FONT = Object.fromEntries(Object.entries(GLYPHS).map(([char, rows]) => [char, rows.split(" ")]))
+
+const GLYPH_WIDTH = 5
+const GLYPH_HEIGHT = 7
+// Characters are one font pixel apart
+const ADVANCE = GLYPH_WIDTH + 1
+
+/**
+ * A blank image filled with `background`.
+ */
+export function createImage(width, height, background = [255, 255, 255]) {
+    const pixels = new Uint8Array(width * height * 4)
+    for (let i = 0; i < pixels.length; i += 4) {
+        pixels.set(background, i)
+        pixels[i + 3] = 255
+    }
+    return { width, height, pixels }
+}
+
+// Blends `color` over the pixel with `alpha` coverage (0 to 1)
+function blend(image, x, y, color, alpha = 1) {
+    if (x < 0 || y < 0 || x >= image.width || y >= image.height || alpha <= 0) return
+    const i = (y * image.width + x) * 4
+    const a = Math.min(alpha, 1)
+    for (let c = 0; c < 3; c++) image.pixels[i + c] = Math.round(image.pixels[i + c] * (1 - a) + color[c] * a)
+}
+
+export function fillRect(image, x, y, width, height, color, alpha = 1) {
+    const x0 = Math.max(0, Math.round(x))
+    const y0 = Math.max(0, Math.round(y))
+    const x1 = Math.min(image.width, Math.round(x + width))
+    const y1 = Math.min(image.height, Math.round(y + height))
+    for (let py = y0; py < y1; py++) for (let px = x0; px < x1; px++) blend(image, px, py, color, alpha)
+}
+
+/**
+ * Antialiased line of `width` pixels with round ends: every pixel near the
+ * segment is covered by how far it lies inside the stroke.
+ */
+export function drawLine(image, x0, y0, x1, y1, color, width = 1) {
+    const r = width / 2
+    const dx = x1 - x0
+    const dy = y1 - y0
+    const lengthSq = dx * dx + dy * dy
+    const minX = Math.floor(Math.min(x0, x1) - r - 1)
+    const maxX = Math.ceil(Math.max(x0, x1) + r + 1)
+    const minY = Math.floor(Math.min(y0, y1) - r - 1)
+    const maxY = Math.ceil(Math.max(y0, y1) + r + 1)
+
+    for (let py = minY; py <= maxY; py++) {
+        for (let px = minX; px <= maxX; px++) {
+            // Distance from the pixel centre to the nearest point of the segment
+            const t = lengthSq ? Math.max(0, Math.min(1, ((px - x0) * dx + (py - y0) * dy) / lengthSq)) : 0
+            const distance = Math.hypot(px - (x0 + t * dx), py - (y0 + t * dy))
+            blend(image, px, py, color, r + 0.5 - distance)
+        }
+    }
+}
+
+export const textWidth = (text, scale = 1) => Math.max(0, text.length * ADVANCE - 1) * scale
+
+export const textHeight = (scale = 1) => GLYPH_HEIGHT * scale
+
+/**
+ * Draws `text` with its top at `y`; `align` places `x` at the left, centre
+ * or right of the text. Characters without a glyph are left blank.
+ */
+export function drawText(image, text, x, y, color, { scale = 1, align = "left" } = {}) {
+    const upper = String(text).toUpperCase()
+    const width = textWidth(upper, scale)
+    const left = Math.round(align === "center" ? x - width / 2 : align === "right" ? x - width : x)
+
+    const chars = [...upper]
+    for (let i = 0; i < chars.length; i++) {
+        const rows = FONT[chars[i]] ?? []
+        rows.forEach((row, gy) => {
+            for (let gx = 0; gx < GLYPH_WIDTH; gx++) {
+                if (row[gx] === "#") fillRect(image, left + (i * ADVANCE + gx) * scale, y + gy * scale, scale, scale, color)
+            }
+        })
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    return c >>> 0
+})
+
+function crc32(bytes) {
+    let crc = 0xffffffff
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+    return (crc ^ 0xffffffff) >>> 0
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4)
+    length.writeUInt32BE(data.length)
+    const body = Buffer.concat([Buffer.from(type, "ascii"), data])
+    const crc = Buffer.alloc(4)
+    crc.writeUInt32BE(crc32(body))
+    return Buffer.concat([length, body, crc])
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+/**
+ * The image as a PNG file (8-bit RGBA, unfiltered rows, zlib-compressed).
+ */
+export function encodePng(image) {
+    const { width, height, pixels } = image
+    const header = Buffer.alloc(13)
+    header.writeUInt32BE(width, 0)
+    header.writeUInt32BE(height, 4)
+    header[8] = 8 // bit depth
+    header[9] = 6 // colour type: RGBA
+    // bytes 10-12: deflate compression, adaptive filtering, no interlace
+
+    // Every scanline starts with its filter type, 0 (none)
+    const stride = width * 4
+    const raw = Buffer.alloc((stride + 1) * height)
+    for (let y = 0; y < height; y++) raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1)
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk("IHDR", header),
+        chunk("IDAT", deflateSync(raw)),
+        chunk("IEND", Buffer.alloc(0)),
+    ])
+}
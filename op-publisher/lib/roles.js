@@ -0,0 +1,31 @@
+/**
+ * Roles and what they are allowed to do (safe to import from client code).
+ *
+ * - `view`: read the ledger, positions, performance, analytics and market data
+ * - `preview`: render signals without publishing them
+ * - `publish`: send signals, which go out once a reviewer approves them unless
+ *   the user skips approval (see lib/drafts.js), and correct published ones
+ * - `approve`: approve or reject other users' drafts
+ * - `manageUsers`: invite users, change their role and revoke them
+ * - `audit`: read and export the audit log of publish attempts
+ * - `manageTemplates`: edit the message template library
+ *
+ * The signed-in user's role is attached to the session as `session.user.role`
+ * (see app/api/auth/[...nextauth]/route.js); API routes check it through
+ * `authorizeRequest(permission)` in lib/auth.js.
+ */
+
+export const ROLES = [
+    { id: "admin", label: "Admin", permissions: ["view", "preview", "publish", "approve", "manageUsers", "audit", "manageTemplates"] },
+    { id: "publisher", label: "Publisher", permissions: ["view", "preview", "publish"] },
+    { id: "reviewer", label: "Reviewer", permissions: ["view", "preview", "approve"] },
+    { id: "viewer", label: "Viewer", permissions: ["view"] },
+]
+
+export function getRole(id) {
+    return ROLES.find((r) => r.id === id) ?? null
+}
+
+export function can(roleId, permission) {
+    return getRole(roleId)?.permissions.includes(permission) ?? false
+}
@@ -0,0 +1,227 @@
+import { upcomingExpiries } from "./calendar"
+import { EXIT_ACTIONS } from "./lifecycle"
+import { getStrategy, matchesStrategy } from "./strategies"
+import { DEFAULT_UNDERLYING, getUnderlying, isValidStrike } from "./underlyings"
+
+/**
+ * Structured signal payload accepted by /api/signals.
+ *
+ * Fresh Trade:
+ *   { type: "FRESH_TRADE", underlying, expiry: "YYYY-MM-DD", strategy, payoffChart,
+ *     legs: [{ strike, optionType, side, entryPrice, stopLoss, targets: [t1, t2, t3] }] }
+ * Square Off / Expiry Trade:
+ *   { type: "SQUARE_OFF" | "EXPIRY_TRADE", action, positionId, quantityPct,
+ *     legs: [{ legIndex, exitPrice }] }
+ * Modify Stop Loss (no exit, moves the stop loss of open legs):
+ *   { type: "MODIFY_SL", positionId, legs: [{ legIndex, stopLoss }] }
+ * Ignore Alert:
+ *   { type: "IGNORE_ALERT", refersTo }
+ * Performance Summary (realized P&L, computed on the server; see lib/pnl.js):
+ *   { type: "PERFORMANCE_SUMMARY", period: "TODAY" | "WEEK" }
+ *
+ * `refersTo` is the ledger id of the signal a follow-up belongs to; exits and
+ * stop-loss changes default it to their `positionId` (the originating Fresh Trade).
+ * `action` is the id of the square-off template (see lib/messages.js); which
+ * actions a leg accepts depends on its lifecycle state (lib/lifecycle.js).
+ * `quantityPct` is the share of the original quantity to book with "bookpct".
+ * `strategy` is an optional id from lib/strategies.js; each leg has its own
+ * strike, so spreads, strangles and condors are plain multi-leg Fresh Trades.
+ * `payoffChart: true` attaches the trade's payoff chart (lib/payoff.js) to
+ * the message in channels that can post images.
+ * Fresh Trade legs may pass `entryLow`/`entryHigh` instead of `entryPrice`;
+ * otherwise the range is `entryPrice` to `entryPrice + ENTRY_RANGE_WIDTH`.
+ * Stop loss and targets are premiums on the same contract: for a BUY the stop
+ * loss sits below the entry range and targets above it, for a SELL the
+ * other way round.
+ */
+
+export const SIGNAL_TYPES = ["FRESH_TRADE", "SQUARE_OFF", "EXPIRY_TRADE", "MODIFY_SL", "IGNORE_ALERT", "PERFORMANCE_SUMMARY"]
+export const EXIT_TYPES = ["SQUARE_OFF", "EXPIRY_TRADE"]
+// Follow-ups that act on an open position through `positionId`
+export const POSITION_TYPES = [...EXIT_TYPES, "MODIFY_SL"]
+// Signals that carry orders (see lib/automation.js)
+export const ORDER_TYPES = ["FRESH_TRADE", ...POSITION_TYPES]
+export const OPTION_TYPES = ["CE", "PE"]
+export const SIDES = ["BUY", "SELL"]
+export const ENTRY_RANGE_WIDTH = 5
+export const SUMMARY_PERIODS = ["TODAY", "WEEK"]
+export const MAX_TARGETS = 3
+// Setups risking more than they can make to the last target get a warning
+export const MIN_REWARD_RATIO = 1
+
+const isBlank = (val) => val === "" || val === null || val === undefined
+
+const toNumberOrNull = (val) => {
+    if (isBlank(val)) return null
+    const n = Number(val)
+    return isFinite(n) ? n : null
+}
+
+const isPositive = (val) => !isBlank(val) && isFinite(Number(val)) && Number(val) > 0
+
+const entryRange = (leg) => {
+    const low = Number(leg.entryLow ?? leg.entryPrice)
+    return { low, high: isBlank(leg.entryHigh) ? low + ENTRY_RANGE_WIDTH : Number(leg.entryHigh) }
+}
+
+const legTargets = (leg) => (leg.targets ?? []).filter((t) => !isBlank(t))
+
+/**
+ * Checks stop loss and targets against the entry range of a leg whose prices
+ * are already known to be numbers. Returns an error string or null.
+ */
+export function validateLegRisk(leg) {
+    const name = `${leg.strike} ${leg.optionType}`
+    const { low, high } = entryRange(leg)
+    const buy = leg.side === "BUY"
+    const stopLoss = isBlank(leg.stopLoss) ? null : Number(leg.stopLoss)
+    const targets = legTargets(leg).map(Number)
+
+    if (stopLoss !== null) {
+        if (buy && stopLoss >= low) return `Stop loss for ${name} must be below the entry price (${low}) for a buy`
+        if (!buy && stopLoss <= high) return `Stop loss for ${name} must be above the entry price (${high}) for a sell`
+    }
+    if (buy && targets.some((t) => t <= high)) return `Targets for ${name} must be above the entry price (${high}) for a buy`
+    if (!buy && targets.some((t) => t >= low)) return `Targets for ${name} must be below the entry price (${low}) for a sell`
+    // T1 is the nearest target, T3 the furthest
+    if (targets.some((t, i) => i > 0 && (buy ? t <= targets[i - 1] : t >= targets[i - 1]))) {
+        return `Targets for ${name} must be in order, nearest first`
+    }
+    return null
+}
+
+/**
+ * Risk-reward of a leg, measured from the middle of the entry range:
+ * { risk, rewards: [per target], ratios: [reward / risk per target] },
+ * or null without a stop loss or targets.
+ */
+export function riskReward(leg) {
+    const { low, high } = entryRange(leg)
+    const targets = legTargets(leg).map(Number)
+    if (isBlank(leg.stopLoss) || targets.length === 0 || !isFinite(low) || !isFinite(high)) return null
+
+    const entry = (low + high) / 2
+    const risk = Math.abs(entry - Number(leg.stopLoss))
+    const rewards = targets.map((t) => Math.abs(t - entry))
+    return { risk, rewards, ratios: rewards.map((r) => (risk > 0 ? r / risk : Infinity)) }
+}
+
+function validateFreshTrade(signal) {
+    const underlying = getUnderlying(signal.underlying || DEFAULT_UNDERLYING)
+    if (!underlying) return `Unknown underlying: ${signal.underlying}`
+    if (!signal.expiry) return "Expiry is required"
+    // Only contracts that are listed (and not yet expired) can be traded
+    const listed = upcomingExpiries(underlying.expiry, { count: 12 })
+    if (!listed.some((e) => e.date === signal.expiry)) {
+        return `${signal.expiry} is not an upcoming ${underlying.symbol} expiry`
+    }
+    const contracts = signal.legs.map((leg) => `${Number(leg.strike)} ${leg.optionType}`)
+    if (new Set(contracts).size !== contracts.length) return "Each contract can only appear in one leg"
+    if (signal.strategy) {
+        const strategy = getStrategy(signal.strategy)
+        if (!strategy) return `Unknown strategy: ${signal.strategy}`
+        if (!matchesStrategy(strategy, signal.legs)) {
+            return `${strategy.label} needs ${strategy.legs.map((l) => `${l.side} ${l.optionType}`).join(", ")}`
+        }
+    }
+    for (const leg of signal.legs) {
+        if (!isPositive(leg.strike)) return "Every leg needs a strike"
+        if (!isValidStrike(underlying, Number(leg.strike))) {
+            return `${underlying.symbol} strikes are in steps of ${underlying.strikeStep}`
+        }
+        if (!OPTION_TYPES.includes(leg.optionType)) return "Every leg needs CE or PE"
+        if (!SIDES.includes(leg.side)) return "Every leg needs a BUY or SELL side"
+        if (!isPositive(leg.entryPrice ?? leg.entryLow)) {
+            return `Enter valid ${leg.side.toLowerCase()} price for ${leg.strike} ${leg.optionType}`
+        }
+        if (!isBlank(leg.entryHigh)) {
+            if (!isPositive(leg.entryHigh)) return `Upper entry price for ${leg.strike} ${leg.optionType} must be a positive number`
+            const { low, high } = entryRange(leg)
+            if (high < low) return `Upper entry price for ${leg.strike} ${leg.optionType} cannot be below ${low}`
+        }
+        if (!isBlank(leg.stopLoss) && !isPositive(leg.stopLoss)) {
+            return `Stop loss for ${leg.strike} ${leg.optionType} must be a positive number`
+        }
+        if (leg.targets !== undefined && !Array.isArray(leg.targets)) return "Targets must be a list"
+        const targets = legTargets(leg)
+        if (targets.length > MAX_TARGETS) return `At most ${MAX_TARGETS} targets per leg`
+        if (!targets.every(isPositive)) return `Targets for ${leg.strike} ${leg.optionType} must be positive numbers`
+        const riskError = validateLegRisk(leg)
+        if (riskError) return riskError
+    }
+    return null
+}
+
+function validateExit(signal) {
+    if (!signal.positionId) return "Select the open position to square off"
+    if (!EXIT_ACTIONS[signal.action]) return "Select valid action type."
+    if (signal.action === "bookpct" && !(isPositive(signal.quantityPct) && Number(signal.quantityPct) <= 100)) {
+        return "Enter the percentage to book (1-100)."
+    }
+    for (const leg of signal.legs) {
+        if (!Number.isInteger(leg.legIndex)) return "Every exit needs the leg it closes"
+        if (!isPositive(leg.exitPrice)) return "Enter exit price."
+    }
+    return null
+}
+
+function validateStopLossChange(signal) {
+    if (!signal.positionId) return "Select the open position to modify"
+    for (const leg of signal.legs) {
+        if (!Number.isInteger(leg.legIndex)) return "Every stop loss change needs the leg it applies to"
+        if (!isPositive(leg.stopLoss)) return "Enter the new stop loss."
+    }
+    return null
+}
+
+/**
+ * Checks a signal payload and returns an error string, or null when valid.
+ */
+export function validateSignal(signal) {
+    if (!signal || typeof signal !== "object") return "Signal details are missing"
+    if (!SIGNAL_TYPES.includes(signal.type)) return `Unknown signal type: ${signal.type}`
+    if (signal.type === "IGNORE_ALERT") return null
+    if (signal.type === "PERFORMANCE_SUMMARY") {
+        return SUMMARY_PERIODS.includes(signal.period) ? null : "Select today or this week"
+    }
+
+    if (!Array.isArray(signal.legs) || signal.legs.length === 0) return "Signal must have at least one leg"
+    if (signal.type === "FRESH_TRADE") return validateFreshTrade(signal)
+    if (signal.type === "MODIFY_SL") return validateStopLossChange(signal)
+    return validateExit(signal)
+}
+
+function normalizeLeg(leg) {
+    const entryLow = toNumberOrNull(leg.entryLow ?? leg.entryPrice)
+    return {
+        strike: toNumberOrNull(leg.strike),
+        optionType: leg.optionType ?? null,
+        side: leg.side ?? null,
+        entryLow,
+        entryHigh: toNumberOrNull(leg.entryHigh) ?? (entryLow === null ? null : entryLow + ENTRY_RANGE_WIDTH),
+        stopLoss: toNumberOrNull(leg.stopLoss),
+        targets: legTargets(leg).map(Number),
+        exitPrice: toNumberOrNull(leg.exitPrice),
+        legIndex: toNumberOrNull(leg.legIndex),
+        quantityPct: toNumberOrNull(leg.quantityPct),
+    }
+}
+
+/**
+ * Copies only the known fields of a validated payload, with numbers coerced.
+ */
+export function normalizeSignal(signal) {
+    return {
+        type: signal.type,
+        underlying: signal.underlying || DEFAULT_UNDERLYING,
+        expiry: signal.expiry || null,
+        strategy: signal.strategy || null,
+        payoffChart: signal.type === "FRESH_TRADE" && signal.payoffChart === true,
+        action: signal.action || null,
+        quantityPct: toNumberOrNull(signal.quantityPct),
+        period: signal.period || null,
+        positionId: signal.positionId || null,
+        refersTo: signal.refersTo || (POSITION_TYPES.includes(signal.type) ? signal.positionId : null) || null,
+        legs: (signal.legs || []).map(normalizeLeg),
+    }
+}
@@ -0,0 +1,46 @@
+import { promises as fs } from "fs"
+import path from "path"
+
+/**
+ * Minimal JSON file store.
+ * Every collection is an array of records kept in `<DATA_DIR>/<name>.json`.
+ * Writes are serialized through one queue so two requests handled by the
+ * same server process never overwrite each other's changes.
+ */
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), ".data")
+
+let writeQueue = Promise.resolve()
+
+function collectionPath(name) {
+    return path.join(DATA_DIR, `${name}.json`)
+}
+
+export async function readCollection(name) {
+    try {
+        const raw = await fs.readFile(collectionPath(name), "utf8")
+        return JSON.parse(raw)
+    } catch (err) {
+        if (err.code === "ENOENT") return []
+        throw err
+    }
+}
+
+/**
+ * Loads a collection, lets `mutate` change the array in place and writes it
+ * back atomically (temp file + rename). Resolves with whatever `mutate` returns.
+ */
+export function updateCollection(name, mutate) {
+    const run = writeQueue.then(async () => {
+        const records = await readCollection(name)
+        const result = await mutate(records)
+        const file = collectionPath(name)
+        const tmp = `${file}.${process.pid}.tmp`
+        await fs.mkdir(DATA_DIR, { recursive: true })
+        await fs.writeFile(tmp, JSON.stringify(records, null, 2))
+        await fs.rename(tmp, file)
+        return result
+    })
+    writeQueue = run.catch(() => {})
+    return run
+}
@@ -0,0 +1,156 @@
+/**
+ * Named multi-leg strategies.
+ *
+ * `legs` describe the shape of the strategy: the order side, the option type
+ * and the strike as an offset from the at-the-money strike, in strike steps.
+ * The leg builder uses the offsets to lay out a starting point; publishers
+ * can then move every strike freely. Validation only checks that a signal
+ * has the legs (side + option type) its strategy calls for.
+ *
+ * `named: false` presets are a convenient layout only; their name is not
+ * printed in the message.
+ */
+
+export const STRATEGIES = [
+    {
+        id: "DIRECTIONAL_BULLISH",
+        label: "Directional (Bullish)",
+        named: false,
+        legs: [
+            { side: "BUY", optionType: "CE", offset: 0 },
+            { side: "SELL", optionType: "PE", offset: 0 },
+        ],
+    },
+    {
+        id: "DIRECTIONAL_BEARISH",
+        label: "Directional (Bearish)",
+        named: false,
+        legs: [
+            { side: "BUY", optionType: "PE", offset: 0 },
+            { side: "SELL", optionType: "CE", offset: 0 },
+        ],
+    },
+    {
+        id: "BULL_CALL_SPREAD",
+        label: "Bull Call Spread",
+        named: true,
+        legs: [
+            { side: "BUY", optionType: "CE", offset: 0 },
+            { side: "SELL", optionType: "CE", offset: 4 },
+        ],
+    },
+    {
+        id: "BEAR_PUT_SPREAD",
+        label: "Bear Put Spread",
+        named: true,
+        legs: [
+            { side: "BUY", optionType: "PE", offset: 0 },
+            { side: "SELL", optionType: "PE", offset: -4 },
+        ],
+    },
+    {
+        id: "BULL_PUT_SPREAD",
+        label: "Bull Put Spread",
+        named: true,
+        legs: [
+            { side: "SELL", optionType: "PE", offset: 0 },
+            { side: "BUY", optionType: "PE", offset: -4 },
+        ],
+    },
+    {
+        id: "BEAR_CALL_SPREAD",
+        label: "Bear Call Spread",
+        named: true,
+        legs: [
+            { side: "SELL", optionType: "CE", offset: 0 },
+            { side: "BUY", optionType: "CE", offset: 4 },
+        ],
+    },
+    {
+        id: "LONG_STRADDLE",
+        label: "Long Straddle",
+        named: true,
+        legs: [
+            { side: "BUY", optionType: "CE", offset: 0 },
+            { side: "BUY", optionType: "PE", offset: 0 },
+        ],
+    },
+    {
+        id: "SHORT_STRADDLE",
+        label: "Short Straddle",
+        named: true,
+        legs: [
+            { side: "SELL", optionType: "CE", offset: 0 },
+            { side: "SELL", optionType: "PE", offset: 0 },
+        ],
+    },
+    {
+        id: "LONG_STRANGLE",
+        label: "Long Strangle",
+        named: true,
+        legs: [
+            { side: "BUY", optionType: "CE", offset: 4 },
+            { side: "BUY", optionType: "PE", offset: -4 },
+        ],
+    },
+    {
+        id: "SHORT_STRANGLE",
+        label: "Short Strangle",
+        named: true,
+        legs: [
+            { side: "SELL", optionType: "CE", offset: 4 },
+            { side: "SELL", optionType: "PE", offset: -4 },
+        ],
+    },
+    {
+        id: "IRON_CONDOR",
+        label: "Iron Condor",
+        named: true,
+        legs: [
+            { side: "SELL", optionType: "CE", offset: 4 },
+            { side: "BUY", optionType: "CE", offset: 8 },
+            { side: "SELL", optionType: "PE", offset: -4 },
+            { side: "BUY", optionType: "PE", offset: -8 },
+        ],
+    },
+    {
+        id: "IRON_BUTTERFLY",
+        label: "Iron Butterfly",
+        named: true,
+        legs: [
+            { side: "SELL", optionType: "CE", offset: 0 },
+            { side: "BUY", optionType: "CE", offset: 4 },
+            { side: "SELL", optionType: "PE", offset: 0 },
+            { side: "BUY", optionType: "PE", offset: -4 },
+        ],
+    },
+]
+
+export function getStrategy(id) {
+    return STRATEGIES.find((s) => s.id === id) ?? null
+}
+
+const legShape = (legs) =>
+    legs
+        .map((leg) => `${leg.side} ${leg.optionType}`)
+        .sort()
+        .join(",")
+
+/**
+ * True when the legs are exactly the ones the strategy calls for
+ * (same sides and option types, in any order and at any strikes).
+ */
+export function matchesStrategy(strategy, legs) {
+    return legShape(strategy.legs) === legShape(legs)
+}
+
+/**
+ * Starting legs for a strategy around the at-the-money strike.
+ */
+export function strategyLegs(strategy, atmStrike, strikeStep) {
+    return strategy.legs.map((leg) => ({
+        side: leg.side,
+        optionType: leg.optionType,
+        strike: atmStrike + leg.offset * strikeStep,
+    }))
+}
@@ -0,0 +1,231 @@
+import { TRANSLATIONS } from "./translations"
+
+/**
+ * Wording of every message, as templates with `{placeholder}` variables.
+ *
+ * `TEMPLATE_FIELDS` lists each template, the variables it may use and its
+ * default English text; lib/translations.js holds the other `LANGUAGES`.
+ * A library has one complete set of templates per language:
+ *   { en: { "freshTrade.title": "FRESH TRADE", ... }, hi: { ... }, mr: { ... } }
+ * The library in use is stored and versioned on the server (lib/library.js);
+ * lib/messages.js renders signals with it.
+ * Pure functions only, safe to import from client code (the editor renders
+ * its live preview with them).
+ */
+
+export const LANGUAGES = [
+    { id: "en", label: "English" },
+    { id: "hi", label: "Hindi" },
+    { id: "mr", label: "Marathi" },
+]
+
+export const DEFAULT_LANGUAGE = "en"
+
+export const getLanguage = (id) => LANGUAGES.find((l) => l.id === id) ?? null
+
+export const TEMPLATE_FIELDS = [
+    // Shared words
+    { key: "common.and", group: "Common", label: "Joins two items", variables: [], text: "and" },
+
+    // Fresh Trade
+    { key: "freshTrade.title", group: "Fresh Trade", label: "Header", variables: [], text: "FRESH TRADE" },
+    {
+        key: "freshTrade.strategyTitle",
+        group: "Fresh Trade",
+        label: "Header of a named strategy",
+        variables: ["strategy"],
+        text: "FRESH TRADE\n{strategy}",
+    },
+    { key: "freshTrade.buy", group: "Fresh Trade", label: "Buy", variables: [], text: "BUY" },
+    { key: "freshTrade.sell", group: "Fresh Trade", label: "Sell", variables: [], text: "SELL" },
+    {
+        key: "freshTrade.leg",
+        group: "Fresh Trade",
+        label: "Leg",
+        variables: ["side", "expiry", "instrument", "strike", "optionType", "range"],
+        text: '"{side}" {expiry} "{instrument} {strike} {optionType}" between {range}',
+    },
+    { key: "freshTrade.range", group: "Fresh Trade", label: "Entry range", variables: ["low", "high"], text: "{low} - {high}" },
+    { key: "freshTrade.legSeparator", group: "Fresh Trade", label: "Line between legs", variables: [], text: "AND" },
+    { key: "freshTrade.stopLoss", group: "Fresh Trade", label: "Stop loss line", variables: ["items"], text: "Stop loss for {items}" },
+    {
+        key: "freshTrade.stopLossItem",
+        group: "Fresh Trade",
+        label: "Stop loss of one leg",
+        variables: ["strike", "optionType", "price"],
+        text: "{strike} {optionType} is {price}",
+    },
+    { key: "freshTrade.target", group: "Fresh Trade", label: "Target line", variables: ["items"], text: "Target for {items}" },
+    {
+        key: "freshTrade.targetItem",
+        group: "Fresh Trade",
+        label: "Targets of one leg",
+        variables: ["strike", "optionType", "prices"],
+        text: "{strike} {optionType} is {prices}",
+    },
+
+    // Square Off / Expiry Trade
+    { key: "exit.header", group: "Square Off", label: "Header", variables: [], text: "SQUARE OFF" },
+    { key: "exit.buy", group: "Square Off", label: "Buy", variables: [], text: "Buy" },
+    { key: "exit.sell", group: "Square Off", label: "Sell", variables: [], text: "Sell" },
+    {
+        key: "exit.leg",
+        group: "Square Off",
+        label: "Exited leg",
+        variables: ["side", "strike", "optionType", "price"],
+        text: "{side} {strike} {optionType} @ {price}",
+    },
+    { key: "exit.book100", group: "Square Off", label: "Book 100% profit", variables: [], text: "Modify stop loss and book 100% profit." },
+    {
+        key: "exit.book50",
+        group: "Square Off",
+        label: "Book 50% profit",
+        variables: [],
+        text: "Modify stop loss and book 50% profit and now keep trailing stop loss at cost for remaining 50% qty.",
+    },
+    {
+        key: "exit.bookpct",
+        group: "Square Off",
+        label: "Book partial profit (custom %)",
+        variables: ["pct"],
+        text: "Modify stop loss and book {pct}% profit and now keep trailing stop loss at cost for remaining qty.",
+    },
+    {
+        key: "exit.trailprofit",
+        group: "Square Off",
+        label: "Trailing SL triggered – book remaining profit",
+        variables: ["pct"],
+        text: "Trailing stop loss triggered. Modify stop loss and book profit for remaining {pct}% quantity.",
+    },
+    {
+        key: "exit.trailclose",
+        group: "Square Off",
+        label: "Trailing SL triggered – square off position",
+        variables: [],
+        text: "Trailing stop loss triggered. Modify your stop loss and square off position.",
+    },
+    {
+        key: "exit.stoploss",
+        group: "Square Off",
+        label: "Stop loss triggered",
+        variables: [],
+        text: "Stop loss triggered. Modify your stop loss and square off position.",
+    },
+
+    // Modify Stop Loss
+    { key: "modifySl.header", group: "Modify Stop Loss", label: "Header", variables: [], text: "MODIFY STOP LOSS" },
+    {
+        key: "modifySl.set",
+        group: "Modify Stop Loss",
+        label: "First stop loss of a leg",
+        variables: ["strike", "optionType", "price"],
+        text: "Set SL for {strike} {optionType} at {price}",
+    },
+    {
+        key: "modifySl.trail",
+        group: "Modify Stop Loss",
+        label: "Stop loss moved in the trade's favour",
+        variables: ["strike", "optionType", "price"],
+        text: "Trail SL for {strike} {optionType} to {price}",
+    },
+    {
+        key: "modifySl.modify",
+        group: "Modify Stop Loss",
+        label: "Stop loss moved against the trade",
+        variables: ["strike", "optionType", "price"],
+        text: "Modify SL for {strike} {optionType} to {price}",
+    },
+
+    // Ignore Alert
+    { key: "ignore.text", group: "Ignore Alert", label: "Text", variables: [], text: "Kindly ignore the alert" },
+
+    // Performance Summary
+    { key: "performance.todayTitle", group: "Performance", label: "Today's header", variables: ["date"], text: "TODAY'S PERFORMANCE · {date}" },
+    {
+        key: "performance.weekTitle",
+        group: "Performance",
+        label: "This week's header",
+        variables: ["from", "to"],
+        text: "THIS WEEK'S PERFORMANCE · {from} - {to}",
+    },
+    { key: "performance.taken", group: "Performance", label: "Trades taken", variables: ["count"], text: "Trades taken: {count}" },
+    {
+        key: "performance.closed",
+        group: "Performance",
+        label: "Trades closed",
+        variables: ["count", "winners", "losers"],
+        text: "Trades closed: {count} ({winners}, {losers})",
+    },
+    { key: "performance.winner", group: "Performance", label: "One winner", variables: ["count"], text: "{count} winner" },
+    { key: "performance.winners", group: "Performance", label: "Several winners", variables: ["count"], text: "{count} winners" },
+    { key: "performance.loser", group: "Performance", label: "One loser", variables: ["count"], text: "{count} loser" },
+    { key: "performance.losers", group: "Performance", label: "Several losers", variables: ["count"], text: "{count} losers" },
+    { key: "performance.netPoints", group: "Performance", label: "Net points", variables: ["points"], text: "Net points: {points}" },
+    {
+        key: "performance.netPnl",
+        group: "Performance",
+        label: "Net P&L",
+        variables: ["rupees"],
+        text: "Net P&L: {rupees} (1 lot per leg)",
+    },
+    { key: "performance.noExits", group: "Performance", label: "No exits", variables: [], text: "No exits booked." },
+    {
+        key: "performance.trade",
+        group: "Performance",
+        label: "One trade",
+        variables: ["trade", "points", "rupees", "returnPct"],
+        text: "{trade}: {points} pts ({rupees}, {returnPct}%)",
+    },
+]
+
+const ENGLISH = Object.fromEntries(TEMPLATE_FIELDS.map((f) => [f.key, f.text]))
+
+export const DEFAULT_TEMPLATES = Object.fromEntries(
+    LANGUAGES.map(({ id }) => [id, id === DEFAULT_LANGUAGE ? ENGLISH : { ...ENGLISH, ...TRANSLATIONS[id] }])
+)
+
+/**
+ * A library with every language and template, missing ones taken from the defaults.
+ */
+export function completeTemplates(templates = {}) {
+    return Object.fromEntries(LANGUAGES.map(({ id }) => [id, { ...DEFAULT_TEMPLATES[id], ...templates[id] }]))
+}
+
+const PLACEHOLDER = /\{(\w+)\}/g
+
+/**
+ * Replaces `{name}` with `values.name`; unknown placeholders are left as is.
+ */
+export function fillTemplate(text, values = {}) {
+    return text.replace(PLACEHOLDER, (match, name) => (values[name] === undefined ? match : String(values[name])))
+}
+
+/**
+ * True when the template of an exit action states the exited percentage,
+ * so every leg of the message must exit the same share.
+ */
+export function statesPct(action) {
+    return TEMPLATE_FIELDS.find((f) => f.key === `exit.${action}`)?.variables.includes("pct") ?? false
+}
+
+/**
+ * Error string for a library with unknown languages, unknown or empty
+ * templates or placeholders their template does not offer, otherwise null.
+ */
+export function validateTemplates(templates) {
+    if (!templates || typeof templates !== "object") return "Templates are missing"
+    for (const [id, set] of Object.entries(templates)) {
+        const language = getLanguage(id)
+        if (!language) return `Unknown language: ${id}`
+        if (!set || typeof set !== "object") return `${language.label} templates are missing`
+        for (const [key, text] of Object.entries(set)) {
+            const field = TEMPLATE_FIELDS.find((f) => f.key === key)
+            if (!field) return `Unknown template: ${key}`
+            const name = `${language.label}: ${field.group} – ${field.label}`
+            if (typeof text !== "string" || !text.trim()) return `${name} cannot be empty`
+            const unknown = [...text.matchAll(PLACEHOLDER)].map((m) => m[1]).find((v) => !field.variables.includes(v))
+            if (unknown) return `${name} has no {${unknown}} variable`
+        }
+    }
+    return null
+}
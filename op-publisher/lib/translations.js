@@ -0,0 +1,103 @@
+/**
+ * Built-in Hindi and Marathi wording of every template in lib/templates.js.
+ *
+ * Contract names stay as traded (instrument, strike, CE/PE, expiry date,
+ * strategy name), so subscribers match them with their broker's terminal;
+ * instructions and labels are translated.
+ */
+
+export const TRANSLATIONS = {
+    hi: {
+        "common.and": "और",
+
+        "freshTrade.title": "नया ट्रेड",
+        "freshTrade.strategyTitle": "नया ट्रेड\n{strategy}",
+        "freshTrade.buy": "खरीदें",
+        "freshTrade.sell": "बेचें",
+        "freshTrade.leg": '"{side}" {expiry} "{instrument} {strike} {optionType}" {range} के बीच',
+        "freshTrade.range": "{low} - {high}",
+        "freshTrade.legSeparator": "और",
+        "freshTrade.stopLoss": "स्टॉप लॉस: {items}",
+        "freshTrade.stopLossItem": "{strike} {optionType} का {price}",
+        "freshTrade.target": "टारगेट: {items}",
+        "freshTrade.targetItem": "{strike} {optionType} का {prices}",
+
+        "exit.header": "स्क्वेयर ऑफ",
+        "exit.buy": "खरीदें",
+        "exit.sell": "बेचें",
+        "exit.leg": "{side} {strike} {optionType} @ {price}",
+        "exit.book100": "स्टॉप लॉस बदलें और 100% प्रॉफिट बुक करें।",
+        "exit.book50": "स्टॉप लॉस बदलें और 50% प्रॉफिट बुक करें, बाकी 50% मात्रा के लिए ट्रेलिंग स्टॉप लॉस कॉस्ट पर रखें।",
+        "exit.bookpct": "स्टॉप लॉस बदलें और {pct}% प्रॉफिट बुक करें, बाकी मात्रा के लिए ट्रेलिंग स्टॉप लॉस कॉस्ट पर रखें।",
+        "exit.trailprofit": "ट्रेलिंग स्टॉप लॉस ट्रिगर हुआ। स्टॉप लॉस बदलें और बाकी {pct}% मात्रा का प्रॉफिट बुक करें।",
+        "exit.trailclose": "ट्रेलिंग स्टॉप लॉस ट्रिगर हुआ। अपना स्टॉप लॉस बदलें और पोज़िशन स्क्वेयर ऑफ करें।",
+        "exit.stoploss": "स्टॉप लॉस ट्रिगर हुआ। अपना स्टॉप लॉस बदलें और पोज़िशन स्क्वेयर ऑफ करें।",
+
+        "modifySl.header": "स्टॉप लॉस बदलें",
+        "modifySl.set": "{strike} {optionType} का SL {price} पर लगाएं",
+        "modifySl.trail": "{strike} {optionType} का SL {price} तक ट्रेल करें",
+        "modifySl.modify": "{strike} {optionType} का SL {price} करें",
+
+        "ignore.text": "कृपया यह अलर्ट अनदेखा करें",
+
+        "performance.todayTitle": "आज का प्रदर्शन · {date}",
+        "performance.weekTitle": "इस सप्ताह का प्रदर्शन · {from} - {to}",
+        "performance.taken": "लिए गए ट्रेड: {count}",
+        "performance.closed": "बंद हुए ट्रेड: {count} ({winners}, {losers})",
+        "performance.winner": "{count} मुनाफ़े में",
+        "performance.winners": "{count} मुनाफ़े में",
+        "performance.loser": "{count} घाटे में",
+        "performance.losers": "{count} घाटे में",
+        "performance.netPoints": "कुल पॉइंट्स: {points}",
+        "performance.netPnl": "कुल P&L: {rupees} (हर लेग 1 लॉट)",
+        "performance.noExits": "कोई एग्ज़िट बुक नहीं हुआ।",
+        "performance.trade": "{trade}: {points} पॉइंट्स ({rupees}, {returnPct}%)",
+    },
+
+    mr: {
+        "common.and": "आणि",
+
+        "freshTrade.title": "नवीन ट्रेड",
+        "freshTrade.strategyTitle": "नवीन ट्रेड\n{strategy}",
+        "freshTrade.buy": "खरेदी करा",
+        "freshTrade.sell": "विक्री करा",
+        "freshTrade.leg": '"{side}" {expiry} "{instrument} {strike} {optionType}" {range} दरम्यान',
+        "freshTrade.range": "{low} - {high}",
+        "freshTrade.legSeparator": "आणि",
+        "freshTrade.stopLoss": "स्टॉप लॉस: {items}",
+        "freshTrade.stopLossItem": "{strike} {optionType} साठी {price}",
+        "freshTrade.target": "टार्गेट: {items}",
+        "freshTrade.targetItem": "{strike} {optionType} साठी {prices}",
+
+        "exit.header": "स्क्वेअर ऑफ",
+        "exit.buy": "खरेदी",
+        "exit.sell": "विक्री",
+        "exit.leg": "{side} {strike} {optionType} @ {price}",
+        "exit.book100": "स्टॉप लॉस बदला आणि 100% नफा बुक करा.",
+        "exit.book50": "स्टॉप लॉस बदला आणि 50% नफा बुक करा, उरलेल्या 50% प्रमाणासाठी ट्रेलिंग स्टॉप लॉस कॉस्टवर ठेवा.",
+        "exit.bookpct": "स्टॉप लॉस बदला आणि {pct}% नफा बुक करा, उरलेल्या प्रमाणासाठी ट्रेलिंग स्टॉप लॉस कॉस्टवर ठेवा.",
+        "exit.trailprofit": "ट्रेलिंग स्टॉप लॉस ट्रिगर झाला. स्टॉप लॉस बदला आणि उरलेल्या {pct}% प्रमाणाचा नफा बुक करा.",
+        "exit.trailclose": "ट्रेलिंग स्टॉप लॉस ट्रिगर झाला. तुमचा स्टॉप लॉस बदला आणि पोझिशन स्क्वेअर ऑफ करा.",
+        "exit.stoploss": "स्टॉप लॉस ट्रिगर झाला. तुमचा स्टॉप लॉस बदला आणि पोझिशन स्क्वेअर ऑफ करा.",
+
+        "modifySl.header": "स्टॉप लॉस बदला",
+        "modifySl.set": "{strike} {optionType} साठी SL {price} वर लावा",
+        "modifySl.trail": "{strike} {optionType} चा SL {price} पर्यंत ट्रेल करा",
+        "modifySl.modify": "{strike} {optionType} चा SL {price} करा",
+
+        "ignore.text": "कृपया हा अलर्ट दुर्लक्षित करा",
+
+        "performance.todayTitle": "आजची कामगिरी · {date}",
+        "performance.weekTitle": "या आठवड्याची कामगिरी · {from} - {to}",
+        "performance.taken": "घेतलेले ट्रेड: {count}",
+        "performance.closed": "बंद झालेले ट्रेड: {count} ({winners}, {losers})",
+        "performance.winner": "{count} नफ्यात",
+        "performance.winners": "{count} नफ्यात",
+        "performance.loser": "{count} तोट्यात",
+        "performance.losers": "{count} तोट्यात",
+        "performance.netPoints": "एकूण पॉइंट्स: {points}",
+        "performance.netPnl": "एकूण P&L: {rupees} (प्रत्येक लेग 1 लॉट)",
+        "performance.noExits": "एकही एक्झिट बुक झाली नाही.",
+        "performance.trade": "{trade}: {points} पॉइंट्स ({rupees}, {returnPct}%)",
+    },
+}
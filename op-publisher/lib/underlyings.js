@@ -0,0 +1,137 @@
+/**
+ * Registry of tradable underlyings.
+ *
+ * - `label` is how the instrument is written in messages ("Nifty 25900 CE")
+ * - `strikeStep` is the strike interval and `lotSize` the contract multiplier
+ *   (lot sizes follow the latest NSE/BSE revision; update them when the
+ *   exchange revises contract sizes)
+ * - `expiry` is the rule used by lib/calendar.js: weekday (0 = Sunday) and
+ *   whether weekly contracts exist besides the monthly one
+ * - `quote` tells the market-data route where to find the spot price:
+ *   an NSE index name, an NSE equity symbol, or null when NSE has no quote
+ * - `defaultSpot` centres the strike ladder when no live price is available
+ */
+
+export const UNDERLYINGS = [
+    {
+        symbol: "NIFTY",
+        label: "Nifty",
+        kind: "INDEX",
+        exchange: "NSE",
+        strikeStep: 50,
+        lotSize: 65,
+        expiry: { weekday: 2, weekly: true },
+        quote: { type: "index", name: "NIFTY 50" },
+        defaultSpot: 24000,
+    },
+    {
+        symbol: "BANKNIFTY",
+        label: "Bank Nifty",
+        kind: "INDEX",
+        exchange: "NSE",
+        strikeStep: 100,
+        lotSize: 30,
+        expiry: { weekday: 2, weekly: false },
+        quote: { type: "index", name: "NIFTY BANK" },
+        defaultSpot: 55000,
+    },
+    {
+        symbol: "FINNIFTY",
+        label: "Fin Nifty",
+        kind: "INDEX",
+        exchange: "NSE",
+        strikeStep: 50,
+        lotSize: 60,
+        expiry: { weekday: 2, weekly: false },
+        quote: { type: "index", name: "NIFTY FINANCIAL SERVICES" },
+        defaultSpot: 26000,
+    },
+    {
+        symbol: "MIDCPNIFTY",
+        label: "Midcap Nifty",
+        kind: "INDEX",
+        exchange: "NSE",
+        strikeStep: 25,
+        lotSize: 120,
+        expiry: { weekday: 2, weekly: false },
+        quote: { type: "index", name: "NIFTY MIDCAP SELECT" },
+        defaultSpot: 13000,
+    },
+    {
+        symbol: "SENSEX",
+        label: "Sensex",
+        kind: "INDEX",
+        exchange: "BSE",
+        strikeStep: 100,
+        lotSize: 20,
+        expiry: { weekday: 4, weekly: true },
+        quote: null,
+        defaultSpot: 82000,
+    },
+    {
+        symbol: "RELIANCE",
+        label: "RELIANCE",
+        kind: "STOCK",
+        exchange: "NSE",
+        strikeStep: 10,
+        lotSize: 500,
+        expiry: { weekday: 2, weekly: false },
+        quote: { type: "equity", symbol: "RELIANCE" },
+        defaultSpot: 1400,
+    },
+    {
+        symbol: "HDFCBANK",
+        label: "HDFCBANK",
+        kind: "STOCK",
+        exchange: "NSE",
+        strikeStep: 10,
+        lotSize: 550,
+        expiry: { weekday: 2, weekly: false },
+        quote: { type: "equity", symbol: "HDFCBANK" },
+        defaultSpot: 1000,
+    },
+    {
+        symbol: "INFY",
+        label: "INFY",
+        kind: "STOCK",
+        exchange: "NSE",
+        strikeStep: 20,
+        lotSize: 400,
+        expiry: { weekday: 2, weekly: false },
+        quote: { type: "equity", symbol: "INFY" },
+        defaultSpot: 1500,
+    },
+    {
+        symbol: "SBIN",
+        label: "SBIN",
+        kind: "STOCK",
+        exchange: "NSE",
+        strikeStep: 10,
+        lotSize: 750,
+        expiry: { weekday: 2, weekly: false },
+        quote: { type: "equity", symbol: "SBIN" },
+        defaultSpot: 850,
+    },
+]
+
+export const DEFAULT_UNDERLYING = "NIFTY"
+
+export function getUnderlying(symbol) {
+    return UNDERLYINGS.find((u) => u.symbol === symbol) ?? null
+}
+
+export function roundToStrike(underlying, price) {
+    return Math.round(price / underlying.strikeStep) * underlying.strikeStep
+}
+
+export function isValidStrike(underlying, strike) {
+    return strike > 0 && strike % underlying.strikeStep === 0
+}
+
+/**
+ * Strikes around the at-the-money strike: `steps` strikes on either side.
+ */
+export function strikeLadder(underlying, spot = underlying.defaultSpot, steps = 35) {
+    const atm = roundToStrike(underlying, spot)
+    return Array.from({ length: steps * 2 + 1 }, (_, i) => atm + (i - steps) * underlying.strikeStep)
+}
@@ -0,0 +1,105 @@
+import { getRole } from "./roles"
+import { readCollection, updateCollection } from "./store"
+
+/**
+ * Users allowed to sign in, with their role (see lib/roles.js).
+ *
+ * Record shape: { email, role, skipApproval, invitedBy, invitedAt, updatedBy, updatedAt }
+ *
+ * `skipApproval` lets a trusted publisher publish without a reviewer's
+ * approval (see lib/drafts.js).
+ * Emails listed in ADMIN_EMAILS (comma separated) are always admins and
+ * skip approval. They bootstrap the first sign-in and cannot be changed from
+ * the admin screen.
+ * Everyone else is invited, changed and revoked at runtime.
+ * Mutations resolve with `{ user }` or `{ error, status }`.
+ */
+
+const COLLECTION = "users"
+
+const normalizeEmail = (email) => String(email ?? "").trim().toLowerCase()
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+function adminEmails() {
+    return (process.env.ADMIN_EMAILS || "").split(",").map(normalizeEmail).filter(Boolean)
+}
+
+/**
+ * Every user, ADMIN_EMAILS first (flagged `builtIn`), then by email.
+ */
+export async function listUsers() {
+    const admins = adminEmails()
+    const stored = (await readCollection(COLLECTION)).filter((u) => !admins.includes(u.email))
+    return [
+        ...admins.map((email) => ({ email, role: "admin", skipApproval: true, builtIn: true })),
+        ...stored.sort((a, b) => a.email.localeCompare(b.email)),
+    ]
+}
+
+/**
+ * `{ role, skipApproval }` of a user, or null when they have no access.
+ */
+export async function accessOf(email) {
+    const normalized = normalizeEmail(email)
+    if (!normalized) return null
+    if (adminEmails().includes(normalized)) return { role: "admin", skipApproval: true }
+    const users = await readCollection(COLLECTION)
+    const user = users.find((u) => u.email === normalized)
+    return user ? { role: user.role, skipApproval: !!user.skipApproval } : null
+}
+
+// Admins can change anyone but themselves and the ADMIN_EMAILS users
+function checkChange(email, by) {
+    if (!EMAIL.test(email)) return { error: "Enter a valid email address", status: 400 }
+    if (adminEmails().includes(email)) return { error: `${email} is an admin through ADMIN_EMAILS`, status: 409 }
+    if (email === normalizeEmail(by)) return { error: "You cannot change your own access", status: 409 }
+    return null
+}
+
+export async function inviteUser({ email, role, skipApproval = false }, { by }) {
+    const normalized = normalizeEmail(email)
+    const invalid = checkChange(normalized, by)
+    if (invalid) return invalid
+    if (!getRole(role)) return { error: "Select a valid role", status: 400 }
+
+    return updateCollection(COLLECTION, (users) => {
+        if (users.some((u) => u.email === normalized)) return { error: `${normalized} is already invited`, status: 409 }
+        const user = { email: normalized, role, skipApproval: !!skipApproval, invitedBy: by, invitedAt: new Date().toISOString() }
+        users.push(user)
+        return { user }
+    })
+}
+
+/**
+ * Changes a user's `role` and/or `skipApproval`.
+ */
+export async function updateUser(email, { role, skipApproval }, { by }) {
+    const normalized = normalizeEmail(email)
+    const invalid = checkChange(normalized, by)
+    if (invalid) return invalid
+    if (role !== undefined && !getRole(role)) return { error: "Select a valid role", status: 400 }
+
+    const changes = {
+        ...(role !== undefined && { role }),
+        ...(skipApproval !== undefined && { skipApproval: !!skipApproval }),
+    }
+    return updateCollection(COLLECTION, (users) => {
+        const user = users.find((u) => u.email === normalized)
+        if (!user) return { error: "User not found", status: 404 }
+        Object.assign(user, changes, { updatedBy: by, updatedAt: new Date().toISOString() })
+        return { user }
+    })
+}
+
+export async function revokeUser(email, { by }) {
+    const normalized = normalizeEmail(email)
+    const invalid = checkChange(normalized, by)
+    if (invalid) return invalid
+
+    return updateCollection(COLLECTION, (users) => {
+        const index = users.findIndex((u) => u.email === normalized)
+        if (index === -1) return { error: "User not found", status: 404 }
+        const [user] = users.splice(index, 1)
+        return { user }
+    })
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Local broker automation receiver, for developing and testing
+ * lib/automation.js without a broker.
+ *
+ *   AUTOMATION_SECRET=dev-secret node scripts/automation-mock.mjs   # http://localhost:4020
+ *   AUTOMATION_ENABLED=true AUTOMATION_URL=http://localhost:4020/orders AUTOMATION_SECRET=dev-secret npm run dev
+ *
+ * Like a real receiver it checks the HMAC signature, refuses timestamps more
+ * than five minutes off and request ids whose orders it already took
+ * (401 / 409), then acknowledges every order with a fake order id. A request
+ * id it refused or failed can be sent again.
+ *
+ * Failure modes can be switched at runtime:
+ *   curl -X POST localhost:4020/__mock/reject    # answer { accepted: false } (a broker RMS refusal)
+ *   curl -X POST localhost:4020/__mock/fail      # every order request returns 503
+ *   curl -X POST localhost:4020/__mock/hang      # take the orders but answer after 30s (a timeout)
+ *   curl -X POST localhost:4020/__mock/recover   # back to normal
+ *   curl localhost:4020/__mock/requests          # the last requests received
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from "node:crypto"
+import { createServer } from "node:http"
+
+const PORT = Number(process.env.PORT || 4020)
+const SECRET = process.env.AUTOMATION_SECRET || "dev-secret"
+const TOLERANCE_SECONDS = 300
+
+const seen = new Map() // id of a request whose orders were taken -> time it can be forgotten
+const received = []
+let mode = "accept"
+
+function json(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" })
+    res.end(JSON.stringify(body))
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = []
+        req.on("data", (chunk) => chunks.push(chunk))
+        req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")))
+        req.on("error", reject)
+    })
+}
+
+// Error string when the request is not signed with SECRET, otherwise null
+function checkSignature(req, body) {
+    const timestamp = req.headers["x-automation-timestamp"]
+    const signature = req.headers["x-automation-signature"] ?? ""
+    if (!/^\d+$/.test(timestamp ?? "")) return "Missing timestamp"
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) return "Timestamp outside the allowed window"
+
+    const expected = `sha256=${createHmac("sha256", SECRET).update(`${timestamp}.${body}`).digest("hex")}`
+    const a = Buffer.from(signature)
+    const b = Buffer.from(expected)
+    return a.length === b.length && timingSafeEqual(a, b) ? null : "Bad signature"
+}
+
+function forgetExpired() {
+    const now = Date.now()
+    for (const [id, until] of seen) if (until < now) seen.delete(id)
+}
+
+async function handleOrders(req, res) {
+    const body = await readBody(req)
+    const signatureError = checkSignature(req, body)
+    if (signatureError) return json(res, 401, { accepted: false, error: signatureError })
+
+    const payload = JSON.parse(body)
+    forgetExpired()
+    if (seen.has(payload.id)) return json(res, 409, { accepted: false, error: `Request ${payload.id} was already received` })
+
+    received.unshift({ at: new Date().toISOString(), mode, payload })
+    received.splice(20)
+    for (const order of payload.orders) {
+        console.log(
+            `  ${order.intent} ${order.side} ${order.instrument} ${order.expiry} ${order.strike} ${order.optionType}`,
+            order.priceBand ? `@ ${order.priceBand.low}-${order.priceBand.high}` : "",
+            order.stopLoss !== null ? `SL ${order.stopLoss}` : "",
+            order.quantity.pct !== null ? `${order.quantity.pct}% of ${order.quantity.lots} lot(s)` : ""
+        )
+    }
+
+    if (mode === "fail") return json(res, 503, { accepted: false, error: "Mock is failing" })
+    if (mode === "reject") return json(res, 422, { accepted: false, error: "Rejected by the mock RMS" })
+    seen.set(payload.id, Date.now() + 2 * TOLERANCE_SECONDS * 1000)
+    if (mode === "hang") await new Promise((resolve) => setTimeout(resolve, 30000))
+    return json(res, 200, {
+        accepted: true,
+        id: payload.id,
+        orders: payload.orders.map((order) => ({ legIndex: order.legIndex, orderId: randomUUID().slice(0, 8) })),
+    })
+}
+
+const server = createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`)
+    console.log(`${req.method} ${url.pathname}`)
+
+    if (req.method === "POST" && url.pathname.startsWith("/__mock/")) {
+        const command = url.pathname.slice("/__mock/".length)
+        if (command === "reject") mode = "reject"
+        else if (command === "fail") mode = "fail"
+        else if (command === "hang") mode = "hang"
+        else if (command === "recover") mode = "accept"
+        else return json(res, 404, { error: `Unknown command ${command}` })
+        return json(res, 200, { mode })
+    }
+    if (req.method === "GET" && url.pathname === "/__mock/requests") return json(res, 200, { mode, received })
+    if (req.method !== "POST") return json(res, 404, { error: "Not found" })
+
+    try {
+        await handleOrders(req, res)
+    } catch (err) {
+        json(res, 400, { accepted: false, error: err.message })
+    }
+})
+
+server.listen(PORT, () => console.log(`Automation mock listening on http://localhost:${PORT} (any POST path takes orders)`))
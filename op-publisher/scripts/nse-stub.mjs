@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for nseindia.com, for developing and testing lib/nse.js
+ * without hitting NSE.
+ *
+ *   node scripts/nse-stub.mjs            # listens on http://localhost:4010
+ *   NSE_BASE_URL=http://localhost:4010 npm run dev
+ *
+ * Like NSE, the API answers 401 until the home page has been loaded and its
+ * cookies are sent back. Prices drift a little on every request.
+ *
+ * Option chains are generated around the stub's spot prices (Black-Scholes at
+ * a flat volatility). To replay a captured NSE response instead, start the
+ * stub with OPTION_CHAIN_FIXTURE=path/to/option-chain.json; that file is
+ * served for every symbol.
+ *
+ * Failure modes can be switched at runtime to check stale fallbacks:
+ *   curl -X POST localhost:4010/__stub/fail      # every API call returns 503
+ *   curl -X POST localhost:4010/__stub/recover   # back to normal
+ *   curl -X POST localhost:4010/__stub/expire    # drop sessions (forces a new handshake)
+ */
+
+import { randomUUID } from "node:crypto"
+import { readFileSync } from "node:fs"
+import { createServer } from "node:http"
+
+const PORT = Number(process.env.PORT || 4010)
+
+const INDICES = {
+    "NIFTY 50": 25870.45,
+    "NIFTY BANK": 57920.1,
+    "NIFTY FINANCIAL SERVICES": 27310.6,
+    "NIFTY MIDCAP SELECT": 13545.25,
+}
+
+const EQUITIES = {
+    RELIANCE: 1482.3,
+    HDFCBANK: 1004.85,
+    INFY: 1528.4,
+    SBIN: 872.15,
+}
+
+// Option chain settings per NSE symbol
+const CHAINS = {
+    NIFTY: { spot: () => INDICES["NIFTY 50"], step: 50, weekday: 2, weekly: true, vol: 0.13 },
+    BANKNIFTY: { spot: () => INDICES["NIFTY BANK"], step: 100, weekday: 2, weekly: false, vol: 0.15 },
+    FINNIFTY: { spot: () => INDICES["NIFTY FINANCIAL SERVICES"], step: 50, weekday: 2, weekly: false, vol: 0.15 },
+    MIDCPNIFTY: { spot: () => INDICES["NIFTY MIDCAP SELECT"], step: 25, weekday: 2, weekly: false, vol: 0.18 },
+    RELIANCE: { spot: () => EQUITIES.RELIANCE, step: 10, weekday: 2, weekly: false, vol: 0.24 },
+    HDFCBANK: { spot: () => EQUITIES.HDFCBANK, step: 10, weekday: 2, weekly: false, vol: 0.2 },
+    INFY: { spot: () => EQUITIES.INFY, step: 20, weekday: 2, weekly: false, vol: 0.26 },
+    SBIN: { spot: () => EQUITIES.SBIN, step: 10, weekday: 2, weekly: false, vol: 0.25 },
+}
+
+const fixture = process.env.OPTION_CHAIN_FIXTURE
+    ? JSON.parse(readFileSync(process.env.OPTION_CHAIN_FIXTURE, "utf8"))
+    : null
+
+const sessions = new Set()
+let failing = false
+
+const drift = (price) => Math.round(price * (1 + (Math.random() - 0.5) / 500) * 100) / 100
+
+function json(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" })
+    res.end(JSON.stringify(body))
+}
+
+function hasSession(req) {
+    const cookies = Object.fromEntries(
+        (req.headers.cookie || "")
+            .split(";")
+            .map((c) => c.trim().split("="))
+            .filter(([name]) => name)
+    )
+    return sessions.has(cookies.nsit)
+}
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const nseDate = (d) => `${String(d.getUTCDate()).padStart(2, "0")}-${MONTHS[d.getUTCMonth()]}-${d.getUTCFullYear()}`
+
+// Next four weekly expiries, or the next three monthly ones (holidays ignored)
+function stubExpiries({ weekday, weekly }) {
+    const today = new Date(new Date().toISOString().slice(0, 10))
+    const dates = []
+    if (weekly) {
+        let day = new Date(today.getTime() + ((weekday - today.getUTCDay() + 7) % 7) * DAY_MS)
+        while (dates.length < 4) {
+            dates.push(day)
+            day = new Date(day.getTime() + 7 * DAY_MS)
+        }
+        return dates
+    }
+    for (let m = 0; dates.length < 3; m++) {
+        const last = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + m + 1, 0))
+        const day = new Date(last.getTime() - ((last.getUTCDay() - weekday + 7) % 7) * DAY_MS)
+        if (day >= today) dates.push(day)
+    }
+    return dates
+}
+
+// Abramowitz-Stegun approximation of the standard normal CDF
+function normCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x))
+    const d = 0.3989423 * Math.exp((-x * x) / 2)
+    const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))))
+    return x > 0 ? 1 - p : p
+}
+
+function premium(type, spot, strike, years, vol) {
+    const sd = vol * Math.sqrt(years)
+    const d1 = (Math.log(spot / strike) + (sd * sd) / 2) / sd
+    const d2 = d1 - sd
+    const price =
+        type === "CE" ? spot * normCdf(d1) - strike * normCdf(d2) : strike * normCdf(-d2) - spot * normCdf(-d1)
+    return Math.max(0.05, Math.round(price * 20) / 20)
+}
+
+function stubChain(symbol) {
+    const settings = CHAINS[symbol]
+    if (!settings) return null
+    const spot = drift(settings.spot())
+    const atm = Math.round(spot / settings.step) * settings.step
+    const expiries = stubExpiries(settings)
+
+    const data = []
+    for (const expiry of expiries) {
+        // Expiry day still has a few hours of trading left
+        const years = Math.max(expiry.getTime() - Date.now() + DAY_MS / 2, DAY_MS / 4) / (365 * DAY_MS)
+        for (let i = -20; i <= 20; i++) {
+            const strikePrice = atm + i * settings.step
+            const side = (type) => {
+                const ltp = premium(type, spot, strikePrice, years, settings.vol)
+                return {
+                    strikePrice,
+                    expiryDate: nseDate(expiry),
+                    lastPrice: ltp,
+                    bidprice: Math.max(0.05, Math.round((ltp - 0.1) * 20) / 20),
+                    askPrice: Math.round((ltp + 0.1) * 20) / 20,
+                    openInterest: Math.round(50000 / (1 + Math.abs(i))),
+                    changeinOpenInterest: Math.round((Math.random() - 0.5) * 2000),
+                }
+            }
+            data.push({ strikePrice, expiryDate: nseDate(expiry), CE: side("CE"), PE: side("PE") })
+        }
+    }
+    return { records: { expiryDates: expiries.map(nseDate), underlyingValue: spot, data } }
+}
+
+const optionChain = (url) => fixture ?? stubChain(url.searchParams.get("symbol"))
+
+const routes = {
+    "/api/allIndices": () => ({
+        data: Object.entries(INDICES).map(([index, last]) => ({ index, indexSymbol: index, last: drift(last) })),
+    }),
+    "/api/quote-equity": (url) => {
+        const symbol = url.searchParams.get("symbol")
+        if (!EQUITIES[symbol]) return null
+        return { info: { symbol }, priceInfo: { lastPrice: drift(EQUITIES[symbol]) } }
+    },
+    "/api/option-chain-indices": optionChain,
+    "/api/option-chain-equities": optionChain,
+}
+
+const server = createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`)
+    console.log(`${req.method} ${url.pathname}${url.search}`)
+
+    if (req.method === "POST" && url.pathname.startsWith("/__stub/")) {
+        const command = url.pathname.slice("/__stub/".length)
+        if (command === "fail") failing = true
+        else if (command === "recover") failing = false
+        else if (command === "expire") sessions.clear()
+        else return json(res, 404, { error: `Unknown command ${command}` })
+        return json(res, 200, { failing, sessions: sessions.size })
+    }
+
+    if (url.pathname === "/") {
+        const id = randomUUID()
+        sessions.add(id)
+        res.writeHead(200, {
+            "Content-Type": "text/html",
+            "Set-Cookie": [`nsit=${id}; Path=/; HttpOnly`, `ak_bmsc=${randomUUID()}; Path=/; HttpOnly`],
+        })
+        return res.end("<html><body>NSE stub</body></html>")
+    }
+
+    const route = routes[url.pathname]
+    if (!route) return json(res, 404, { error: "Not found" })
+    if (failing) return json(res, 503, { error: "Stub is failing" })
+    if (!hasSession(req)) return json(res, 401, { error: "Unauthorized" })
+
+    const body = route(url)
+    return body ? json(res, 200, body) : json(res, 404, { error: "Not found" })
+})
+
+server.listen(PORT, () => console.log(`NSE stub listening on http://localhost:${PORT}`))